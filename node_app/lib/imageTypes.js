@@ -0,0 +1,20 @@
+// Detección del tipo de imagen a partir de sus primeros bytes ("magic numbers").
+// No se confía en el Content-Type ni en el MIME declarado por el cliente.
+
+const SIGNATURES = [
+    { mimeType: 'image/png', ext: 'png', matches: (buf) => buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/jpeg', ext: 'jpg', matches: (buf) => buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+    { mimeType: 'image/webp', ext: 'webp', matches: (buf) => buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' },
+    { mimeType: 'image/gif', ext: 'gif', matches: (buf) => buf.length >= 6 && /^GIF8[79]a$/.test(buf.toString('ascii', 0, 6)) },
+    { mimeType: 'image/bmp', ext: 'bmp', matches: (buf) => buf.length >= 2 && buf[0] === 0x42 && buf[1] === 0x4d }
+];
+
+/**
+ * Devuelve { mimeType, ext } del formato detectado, o null si no es una imagen conocida.
+ */
+function sniffImageType(buffer) {
+    const found = SIGNATURES.find(sig => sig.matches(buffer));
+    return found ? { mimeType: found.mimeType, ext: found.ext } : null;
+}
+
+module.exports = { sniffImageType };
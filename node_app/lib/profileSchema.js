@@ -0,0 +1,266 @@
+// Esquema de los perfiles de configuración de captura (profiles/*.json).
+// Un perfil sobrescribe parcialmente DEFAULT_CONFIG de public/mediapipe.js, así que
+// ninguna clave es obligatoria, pero toda clave presente debe existir y tener un valor válido.
+
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const boolean = { type: 'boolean' };
+const cssSize = { type: 'string', pattern: /^\d+(\.\d+)?(px|rem|em|vh|vw|%)$/ };
+const text = { type: 'string' };
+const oneOf = (...values) => ({ enum: values });
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+// Objeto con claves libres que cumplen `keyPattern`; todos los valores siguen `values`.
+const mapOf = (values, keyPattern) => ({ type: 'map', values, keyPattern });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Mismo ROI que DEFAULT_CONFIG.roi de public/mediapipe.js: base de la mezcla
+// cuando un perfil define roiByOrientation sin definir roi.
+const DEFAULT_ROI = { shape: 'rect', points: null, x: 0.20, y: 0.15, width: 0.60, height: 0.70 };
+
+const roiProperties = {
+    shape: oneOf('rect', 'ellipse', 'polygon'),
+    points: arrayOf(object({ x: number(0, 1), y: number(0, 1) }, { required: ['x', 'y'] })),
+    x: number(0, 1),
+    y: number(0, 1),
+    width: number(0, 1),
+    height: number(0, 1)
+};
+
+function roiProblem(r) {
+    if (r.width <= 0 || r.height <= 0) return 'el ROI debe tener width y height mayores que 0';
+    if (r.x + r.width > 1 || r.y + r.height > 1) return 'el ROI se sale del cuadro (x + width o y + height > 1)';
+    if (r.shape === 'polygon' && !(r.points?.length >= 3)) return 'un ROI polygon necesita al menos 3 puntos';
+    return null;
+}
+
+const roi = object(roiProperties, { required: ['x', 'y', 'width', 'height'], check: roiProblem });
+
+// Cada orientación puede quedar en null (usa `roi`) o sobrescribir solo algunas
+// claves; el resultado de la mezcla se valida en el chequeo de la configuración.
+const roiOverride = nullable(object(roiProperties));
+
+const CONFIG_SCHEMA = object({
+    locale: { type: 'string', pattern: /^[a-z]{2}(-[A-Z]{2})?$/ },
+    minScore: number(0, 1),
+    validation: object({
+        durationMs: integer(100, 60000),
+        dropoutToleranceMs: integer(0, 10000),
+        decayRate: number(0, 100),
+        scoreSmoothing: number(0.01, 1),
+        boxSmoothing: number(0.01, 1),
+        maxMovement: number(0, 10)
+    }),
+    detectionFontSize: cssSize,
+    successFontSize: cssSize,
+    showScore: boolean,
+    showKeypoints: boolean,
+    debug: boolean,
+    keypointSize: number(1, 200),
+    multipleFacesPolicy: oneOf('reject', 'largest', 'centered'),
+    downloadCapture: boolean,
+    theme: object({
+        maskColor: text,
+        roiColor: text,
+        roiLineWidth: number(0, 50),
+        roiDash: arrayOf(number(0, 200)),
+        boxFill: text,
+        boxLineWidth: number(0, 50),
+        keypointColor: text,
+        fontFamily: text,
+        fontWeight: text,
+        statusTextColor: text,
+        statusPadding: number(0, 100),
+        statusRadius: number(0, 100),
+        ringTrackColor: text,
+        ringWidth: number(0, 50)
+    }),
+    statusColors: mapOf(text, /^[A-Z_]+$/),
+    review: boolean,
+    output: object({
+        variants: arrayOf(oneOf('full', 'face', 'portrait')),
+        mirror: boolean,
+        format: oneOf('png', 'jpeg', 'webp'),
+        quality: number(0, 1),
+        faceMargin: number(0, 2),
+        portrait: object({
+            width: integer(50, 4000),
+            height: integer(50, 4000),
+            eyeDistance: number(0.05, 0.9),
+            eyeLine: number(0, 1),
+            background: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/ }
+        })
+    }, {
+        check: (o) => o.variants?.length === 0 ? 'variants no puede estar vacío' : null
+    }),
+    detector: object({
+        delegates: arrayOf(oneOf('GPU', 'CPU')),
+        allowNoSimd: boolean
+    }, {
+        check: (d) => d.delegates?.length === 0 ? 'delegates no puede estar vacío' : null
+    }),
+    camera: object({
+        facingMode: oneOf('user', 'environment', null),
+        idealWidth: integer(1, 7680),
+        idealHeight: integer(1, 7680),
+        minWidth: integer(1, 7680),
+        minHeight: integer(1, 7680),
+        showPicker: boolean,
+        rememberDevice: boolean
+    }, {
+        check: (c) => c.minWidth > c.idealWidth || c.minHeight > c.idealHeight ? 'la resolución mínima no puede superar a la ideal' : null
+    }),
+    liveness: object({
+        enabled: boolean,
+        challenges: arrayOf(oneOf('TURN_LEFT', 'TURN_RIGHT', 'MOVE_CLOSER', 'BLINK')),
+        count: integer(0, 10),
+        useLandmarks: boolean,
+        frontalYaw: number(0, 90),
+        turnThreshold: number(0, 90),
+        closerScale: number(1, 5),
+        blinkThreshold: number(0, 1),
+        holdFrames: integer(1, 1000),
+        maxMissingFrames: integer(0, 1000),
+        maxTrackJump: number(0, 10)
+    }),
+    antiSpoofing: object({
+        enabled: boolean,
+        vetoThreshold: number(0, 1),
+        sampleEvery: integer(1, 1000),
+        vetoCooldownMs: integer(0, 60000),
+        cropSize: integer(16, 1024),
+        microMotion: object({ minSamples: integer(1, 10000), minStd: number(0, 1) }),
+        scaleVariation: object({ minSamples: integer(1, 10000), minCv: number(0, 1) }),
+        texture: object({ minLaplacianStd: number(0, 1000), maxPeriodicity: number(0, 0.99) })
+    }),
+    quality: object({
+        enabled: boolean,
+        sampleEvery: integer(1, 1000),
+        cropSize: integer(16, 1024),
+        minSharpness: number(0, 100000),
+        minLuminance: number(0, 255),
+        maxLuminance: number(0, 255),
+        clipLow: number(0, 255),
+        clipHigh: number(0, 255),
+        maxClipped: number(0, 1),
+        minContrast: number(0, 255),
+        minFaceRatio: number(0, 1),
+        maxFaceRatio: number(0, 1)
+    }, {
+        check: (q) => q.minFaceRatio > q.maxFaceRatio || q.minLuminance > q.maxLuminance ? 'los mínimos no pueden superar a los máximos' : null
+    }),
+    session: object({
+        maxDurationMs: integer(0, 3600000),
+        maxRestarts: integer(0, 1000),
+        idleTimeoutMs: integer(0, 3600000)
+    }),
+    headPose: object({
+        maxYaw: number(0, 90),
+        maxPitch: number(0, 90),
+        maxRoll: number(0, 90)
+    }),
+    accessibility: object({
+        enabled: boolean,
+        speech: boolean,
+        tones: boolean,
+        speechIntervalMs: integer(0, 60000),
+        repeatAfterMs: integer(0, 600000),
+        toneIntervalMs: integer(50, 10000),
+        toneMinHz: number(20, 20000),
+        toneMaxHz: number(20, 20000)
+    }, {
+        check: (a) => a.toneMinHz > a.toneMaxHz ? 'toneMinHz no puede superar a toneMaxHz' : null
+    }),
+    guidance: object({
+        offsetTolerance: number(0, 1),
+        minFill: number(0, 2),
+        maxFill: number(0, 2),
+        hysteresis: number(0, 0.9),
+        switchFrames: integer(1, 1000),
+        showArrow: boolean
+    }, {
+        check: (g) => g.minFill > g.maxFill ? 'minFill no puede superar a maxFill' : null
+    }),
+    layout: object({
+        settleMs: integer(0, 10000)
+    }),
+    roiByOrientation: object({
+        portrait: roiOverride,
+        landscape: roiOverride
+    }),
+    containment: object({
+        method: oneOf('corners', 'keypoints', 'area', 'iou'),
+        minRatio: number(0, 1)
+    }),
+    roi
+}, {
+    check: (c) => {
+        for (const orientation of ['portrait', 'landscape']) {
+            const override = c.roiByOrientation?.[orientation];
+            const problem = override && roiProblem({ ...(c.roi ?? DEFAULT_ROI), ...override });
+            if (problem) return `roiByOrientation.${orientation}: ${problem}`;
+        }
+        return null;
+    }
+});
+
+const PROFILE_SCHEMA = object({
+    description: { type: 'string' },
+    config: CONFIG_SCHEMA
+}, { required: ['config'] });
+
+/**
+ * Valida `value` contra `schema` y devuelve la lista de errores (vacía si es válido).
+ */
+function validate(value, schema, path = 'perfil') {
+    if (value === null && schema.nullable) return [];
+    if (schema.enum) {
+        return schema.enum.includes(value) ? [] : [`${path}: debe ser uno de ${schema.enum.join(', ')}`];
+    }
+
+    switch (schema.type) {
+        case 'number':
+        case 'integer': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path}: debe ser un número`];
+            if (schema.type === 'integer' && !Number.isInteger(value)) return [`${path}: debe ser un entero`];
+            if (value < schema.min || value > schema.max) return [`${path}: debe estar entre ${schema.min} y ${schema.max}`];
+            return [];
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? [] : [`${path}: debe ser true o false`];
+        case 'string':
+            if (typeof value !== 'string') return [`${path}: debe ser un texto`];
+            return schema.pattern && !schema.pattern.test(value) ? [`${path}: formato no válido (${value})`] : [];
+        case 'array':
+            if (!Array.isArray(value)) return [`${path}: debe ser una lista`];
+            return value.flatMap((item, i) => validate(item, schema.items, `${path}[${i}]`));
+        case 'object': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path}: debe ser un objeto`];
+            const errors = [];
+            for (const key of schema.required ?? []) {
+                if (!(key in value)) errors.push(`${path}.${key}: es obligatorio`);
+            }
+            for (const [key, child] of Object.entries(value)) {
+                if (!schema.properties[key]) errors.push(`${path}.${key}: clave desconocida`);
+                else errors.push(...validate(child, schema.properties[key], `${path}.${key}`));
+            }
+            const custom = errors.length === 0 && schema.check?.(value);
+            if (custom) errors.push(`${path}: ${custom}`);
+            return errors;
+        }
+        case 'map': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path}: debe ser un objeto`];
+            return Object.entries(value).flatMap(([key, child]) => schema.keyPattern.test(key)
+                ? validate(child, schema.values, `${path}.${key}`)
+                : [`${path}.${key}: clave no válida`]);
+        }
+        default:
+            throw new Error(`Tipo de esquema desconocido en ${path}`);
+    }
+}
+
+function validateProfile(profile) {
+    return validate(profile, PROFILE_SCHEMA);
+}
+
+module.exports = { validateProfile };
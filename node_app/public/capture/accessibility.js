@@ -0,0 +1,112 @@
+// Modo accesible: región ARIA que refleja el estado, indicaciones habladas
+// (SpeechSynthesis) y tonos cuyo tono sube con el progreso de validación.
+
+// Estados cuyo texto lleva el porcentaje de progreso.
+const PROGRESS_KEYS = new Set(['VALIDATING', 'HOLD_STILL']);
+
+export class AccessibilityGuide {
+  #liveRegion;
+  #lastAnnounced = null;
+  #lastKey = null;
+  #lastProgressStep = -1;
+  #lastSpoken = { text: null, at: 0 };
+  #audioContext = null;
+  #lastToneAt = 0;
+
+  /**
+   * @param {HTMLElement} container Contenedor del widget.
+   * @param {object} cfg config.accessibility
+   * @param {string} locale Idioma de la voz.
+   */
+  constructor(container, cfg, locale) {
+    this.cfg = cfg;
+    this.locale = locale;
+
+    // La región viva existe siempre: sirve a lectores de pantalla aunque el modo esté apagado.
+    this.#liveRegion = document.createElement('div');
+    this.#liveRegion.className = 'visually-hidden';
+    this.#liveRegion.setAttribute('role', 'status');
+    this.#liveRegion.setAttribute('aria-live', 'polite');
+    this.#liveRegion.setAttribute('aria-atomic', 'true');
+    container.appendChild(this.#liveRegion);
+  }
+
+  /**
+   * Se llama una vez por frame con el estado visible.
+   * `text` ya incluye la indicación de posición cuando corresponde.
+   */
+  update({ key, text, progress = 0 }) {
+    // Al validar el texto cambia cada frame; se anuncia al cambiar de estado y cada cuarto de avance.
+    const counting = PROGRESS_KEYS.has(key);
+    const progressStep = counting ? Math.floor(progress * 4) : -1;
+    const changed = text !== this.#lastAnnounced && (key !== this.#lastKey || !counting || progressStep !== this.#lastProgressStep);
+    if (changed) {
+      this.#lastAnnounced = text;
+      this.#lastKey = key;
+      this.#lastProgressStep = progressStep;
+      this.#liveRegion.textContent = text;
+    }
+
+    if (!this.cfg.enabled) return;
+    if (changed && this.cfg.speech) this.#speak(text);
+    if (this.cfg.tones && counting) this.#tone(progress);
+  }
+
+  /**
+   * Anuncio puntual (p. ej. captura completada), sin esperar el intervalo mínimo.
+   */
+  announce(text) {
+    this.#liveRegion.textContent = text;
+    this.#lastAnnounced = text;
+    if (this.cfg.enabled && this.cfg.speech) this.#speak(text, true);
+  }
+
+  stop() {
+    window.speechSynthesis?.cancel();
+    this.#audioContext?.close();
+    this.#audioContext = null;
+  }
+
+  /**
+   * Habla con un intervalo mínimo entre frases y sin repetir la misma frase
+   * antes de `repeatAfterMs`, para no hablar en cada frame.
+   */
+  #speak(text, force = false) {
+    const synth = window.speechSynthesis;
+    if (!synth) return;
+    const now = performance.now();
+    const tooSoon = now - this.#lastSpoken.at < this.cfg.speechIntervalMs;
+    const repeated = text === this.#lastSpoken.text && now - this.#lastSpoken.at < this.cfg.repeatAfterMs;
+    if (!force && (tooSoon || repeated)) return;
+
+    synth.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = this.locale;
+    synth.speak(utterance);
+    this.#lastSpoken = { text, at: now };
+  }
+
+  /**
+   * Pitido corto cuya frecuencia va de toneMinHz a toneMaxHz según el progreso.
+   */
+  #tone(progress) {
+    const now = performance.now();
+    if (now - this.#lastToneAt < this.cfg.toneIntervalMs) return;
+    this.#lastToneAt = now;
+
+    const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    this.#audioContext ??= new AudioContextClass();
+    const ctx = this.#audioContext;
+    if (ctx.state === 'suspended') ctx.resume(); // Requiere un gesto previo del usuario
+
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    oscillator.frequency.value = this.cfg.toneMinHz + progress * (this.cfg.toneMaxHz - this.cfg.toneMinHz);
+    gain.gain.setValueAtTime(0.15, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.08);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start();
+    oscillator.stop(ctx.currentTime + 0.08);
+  }
+}
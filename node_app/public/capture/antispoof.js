@@ -0,0 +1,165 @@
+// Anti-spoofing pasivo: heurísticas que se acumulan durante la ventana de validación
+// y pueden vetar la captura. Cada chequeo devuelve un score en [0, 1] (1 = parece real)
+// o null si todavía no tiene datos suficientes. Los umbrales de configuración marcan
+// el punto en que el score llega a 1.
+
+import { readFaceCrop, laplacian } from "./faceCrop.js";
+
+function std(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length);
+}
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+// --- CHEQUEOS ---
+
+/**
+ * Micro-movimiento: un rostro real nunca está completamente quieto. Mide la
+ * dispersión de la nariz normalizada por el ancho del rostro.
+ */
+export function microMotionCheck(cfg) {
+  let xs = [];
+  let ys = [];
+  return {
+    name: 'microMotion',
+    reset() { xs = []; ys = []; },
+    update({ detection, video }) {
+      const nose = detection.keypoints[2];
+      const faceWidth = detection.boundingBox.width / video.videoWidth;
+      xs.push(nose.x / faceWidth);
+      ys.push(nose.y / faceWidth);
+    },
+    score() {
+      if (xs.length < cfg.minSamples) return null;
+      return clamp01(Math.hypot(std(xs), std(ys)) / cfg.minStd);
+    }
+  };
+}
+
+/**
+ * Variación de escala: al sostener una foto o pantalla fija el tamaño del rostro no cambia.
+ */
+export function scaleVariationCheck(cfg) {
+  let widths = [];
+  return {
+    name: 'scaleVariation',
+    reset() { widths = []; },
+    update({ detection }) {
+      widths.push(detection.boundingBox.width);
+    },
+    score() {
+      if (widths.length < cfg.minSamples) return null;
+      const mean = widths.reduce((a, b) => a + b, 0) / widths.length;
+      return clamp01(std(widths) / mean / cfg.minCv);
+    }
+  };
+}
+
+/**
+ * Textura y moiré sobre el recorte del rostro. La piel tiene detalle fino
+ * (Laplaciano con varianza); una impresión o pantalla suele ser uniforme o
+ * mostrar un patrón periódico (autocorrelación alta del Laplaciano a pocos píxeles).
+ */
+export function textureCheck(cfg) {
+  let textureScores = [];
+  let moireScores = [];
+  return {
+    name: 'texture',
+    needsPixels: true,
+    reset() { textureScores = []; moireScores = []; },
+    update({ crop }) {
+      const lap = laplacian(crop);
+      textureScores.push(clamp01(std(lap) / cfg.minLaplacianStd));
+      moireScores.push(clamp01((1 - periodicity(lap, crop.width, crop.height)) / (1 - cfg.maxPeriodicity)));
+    },
+    score() {
+      if (textureScores.length === 0) return null;
+      const avg = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+      return Math.min(avg(textureScores), avg(moireScores));
+    }
+  };
+}
+
+function periodicity(signal, width, height) {
+  let energy = 0;
+  for (let i = 0; i < signal.length; i++) energy += signal[i] * signal[i];
+  if (energy === 0) return 0;
+
+  let peak = 0;
+  for (let lag = 2; lag <= 6; lag++) {
+    let horizontal = 0;
+    let vertical = 0;
+    for (let y = 1; y < height - 1 - lag; y++) {
+      for (let x = 1; x < width - 1 - lag; x++) {
+        const i = y * width + x;
+        horizontal += signal[i] * signal[i + lag];
+        vertical += signal[i] * signal[i + lag * width];
+      }
+    }
+    peak = Math.max(peak, horizontal / energy, vertical / energy);
+  }
+  return peak;
+}
+
+/**
+ * Etapa de anti-spoofing. Recibe los chequeos a ejecutar; `addCheck()` permite
+ * registrar otros con la misma forma { name, reset, update, score, needsPixels? }.
+ */
+export class SpoofDetector {
+  constructor(cfg, checks = [microMotionCheck(cfg.microMotion), scaleVariationCheck(cfg.scaleVariation), textureCheck(cfg.texture)]) {
+    this.cfg = cfg;
+    this.checks = checks;
+    this.frames = 0;
+  }
+
+  addCheck(check) {
+    this.checks.push(check);
+  }
+
+  reset() {
+    this.frames = 0;
+    this.checks.forEach(check => check.reset());
+  }
+
+  /**
+   * Se llama en cada frame con rostro válido. Los chequeos que leen píxeles
+   * solo se ejecutan cada `sampleEvery` frames.
+   */
+  update(detection, video) {
+    const sampleFrame = this.frames++ % this.cfg.sampleEvery === 0;
+    let crop;
+    for (const check of this.checks) {
+      if (check.needsPixels) {
+        if (!sampleFrame) continue;
+        crop ??= readFaceCrop(video, detection.boundingBox, { size: this.cfg.cropSize });
+        if (!crop) continue;
+      }
+      check.update({ detection, video, crop });
+    }
+  }
+
+  /**
+   * true cuando todos los chequeos tienen datos suficientes para dar un score.
+   * Micro-movimiento y escala piden `minSamples` frames: con pocos fps tardan más
+   * que la ventana de validación, que debe esperarlos antes de capturar.
+   */
+  get ready() {
+    return this.checks.every(check => check.score() !== null);
+  }
+
+  /**
+   * Devuelve { scores, vetoed, vetoedBy }. Un chequeo sin datos no veta.
+   */
+  evaluate() {
+    const scores = {};
+    const vetoedBy = [];
+    for (const check of this.checks) {
+      const score = check.score();
+      scores[check.name] = score === null ? null : Math.round(score * 1000) / 1000;
+      if (score !== null && score < this.cfg.vetoThreshold) vetoedBy.push(check.name);
+    }
+    return { scores, vetoed: vetoedBy.length > 0, vetoedBy };
+  }
+}
@@ -0,0 +1,83 @@
+// Selección de cámara y negociación de resolución con una cadena de alternativas.
+
+import { CaptureError, ERROR_CODES } from "./errors.js";
+import { createTranslator, DEFAULT_LOCALE } from "./i18n.js";
+
+const STORAGE_KEY = 'faceCapture.deviceId';
+
+// Errores que indican que las restricciones no se pueden cumplir y conviene probar otras.
+// NotAllowedError (permiso denegado) y similares se propagan de inmediato.
+const RETRYABLE_ERRORS = ['OverconstrainedError', 'NotFoundError', 'NotReadableError', 'AbortError'];
+
+/**
+ * Cámaras disponibles. Las etiquetas solo llegan después de conceder el permiso.
+ */
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter(d => d.kind === 'videoinput');
+}
+
+export function getPreferredDeviceId() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null; // localStorage bloqueado (p. ej. iframe de terceros)
+  }
+}
+
+export function setPreferredDeviceId(deviceId) {
+  try {
+    if (deviceId) localStorage.setItem(STORAGE_KEY, deviceId);
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Sin persistencia: se vuelve a elegir en la próxima sesión.
+  }
+}
+
+/**
+ * Lista ordenada de restricciones de video, de la más exigente a `{ video: true }`.
+ */
+export function buildConstraintChain(cfg, deviceId) {
+  const ideal = { width: { ideal: cfg.idealWidth }, height: { ideal: cfg.idealHeight } };
+  const withMin = {
+    width: { ideal: cfg.idealWidth, min: cfg.minWidth },
+    height: { ideal: cfg.idealHeight, min: cfg.minHeight }
+  };
+  const chain = [];
+  if (deviceId) {
+    chain.push({ deviceId: { exact: deviceId }, ...withMin });
+    chain.push({ deviceId: { exact: deviceId }, ...ideal });
+  }
+  if (cfg.facingMode) {
+    chain.push({ facingMode: cfg.facingMode, ...withMin });
+    chain.push({ facingMode: cfg.facingMode, ...ideal });
+  }
+  chain.push(withMin);
+  chain.push(true);
+  return chain;
+}
+
+/**
+ * Abre la cámara probando cada restricción de la cadena hasta que una funcione.
+ * Devuelve { stream, constraints, settings }. `t` traduce los mensajes de consola.
+ */
+export async function openCamera(cfg, deviceId = null, t = createTranslator(DEFAULT_LOCALE)) {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new CaptureError(ERROR_CODES.UNSUPPORTED_BROWSER, { stage: 'camera' });
+  }
+
+  let lastError;
+  for (const video of buildConstraintChain(cfg, deviceId)) {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+      const settings = stream.getVideoTracks()[0]?.getSettings() ?? {};
+      return { stream, constraints: video, settings };
+    } catch (error) {
+      if (!RETRYABLE_ERRORS.includes(error.name)) throw error;
+      console.warn(t('log.cameraConstraintsFailed'), video, error.name);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
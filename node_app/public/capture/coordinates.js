@@ -0,0 +1,95 @@
+// Conversión de coordenadas entre los tres espacios que usa el widget:
+//   video       Píxeles del frame de la cámara, sin espejo (boundingBox de MediaPipe).
+//   normalized  0-1 respecto del frame, sin espejo (keypoints de MediaPipe).
+//   display     Píxeles CSS dentro del elemento <video>, tal como se ve en pantalla:
+//               con object-fit: cover (escala y recorte) y, si corresponde, espejado.
+// El ROI de la configuración está en fracciones del espacio display.
+
+export class CoordinateSpace {
+  /**
+   * @param {HTMLVideoElement} video
+   * @param {object} options
+   * @param {boolean} options.mirrored true si el video se muestra espejado (mediapipe.css).
+   */
+  constructor(video, { mirrored = false } = {}) {
+    this.video = video;
+    this.mirrored = mirrored;
+  }
+
+  /**
+   * Escala y desplazamiento de object-fit: cover. Se recalcula en cada llamada para
+   * seguir los cambios de tamaño del elemento y de resolución de la cámara.
+   */
+  get layout() {
+    const { clientWidth: displayWidth, clientHeight: displayHeight, videoWidth, videoHeight } = this.video;
+    const scale = Math.max(displayWidth / videoWidth, displayHeight / videoHeight);
+    return {
+      displayWidth,
+      displayHeight,
+      videoWidth,
+      videoHeight,
+      scale,
+      offsetX: (displayWidth - videoWidth * scale) / 2,
+      offsetY: (displayHeight - videoHeight * scale) / 2
+    };
+  }
+
+  get aspectRatio() {
+    return this.video.videoWidth / this.video.videoHeight;
+  }
+
+  normalizedToVideo({ x, y }) {
+    return { x: x * this.video.videoWidth, y: y * this.video.videoHeight };
+  }
+
+  videoToNormalized({ x, y }) {
+    return { x: x / this.video.videoWidth, y: y / this.video.videoHeight };
+  }
+
+  videoToDisplay({ x, y }, layout = this.layout) {
+    const displayX = x * layout.scale + layout.offsetX;
+    return {
+      x: this.mirrored ? layout.displayWidth - displayX : displayX,
+      y: y * layout.scale + layout.offsetY
+    };
+  }
+
+  displayToVideo({ x, y }, layout = this.layout) {
+    const displayX = this.mirrored ? layout.displayWidth - x : x;
+    return {
+      x: (displayX - layout.offsetX) / layout.scale,
+      y: (y - layout.offsetY) / layout.scale
+    };
+  }
+
+  normalizedToDisplay(point, layout = this.layout) {
+    return this.videoToDisplay(this.normalizedToVideo(point), layout);
+  }
+
+  /**
+   * boundingBox de MediaPipe (video) a caja en pantalla { left, top, width, height }.
+   * Con espejo, el borde izquierdo en pantalla es el derecho del frame.
+   */
+  boxToDisplay(box, layout = this.layout) {
+    const a = this.videoToDisplay({ x: box.originX, y: box.originY }, layout);
+    const b = this.videoToDisplay({ x: box.originX + box.width, y: box.originY + box.height }, layout);
+    return {
+      left: Math.min(a.x, b.x),
+      top: a.y,
+      width: Math.abs(b.x - a.x),
+      height: b.y - a.y
+    };
+  }
+
+  /**
+   * ROI (fracciones de la pantalla) a caja en píxeles de pantalla.
+   */
+  roiToDisplay(roi, layout = this.layout) {
+    return {
+      left: layout.displayWidth * roi.x,
+      top: layout.displayHeight * roi.y,
+      width: layout.displayWidth * roi.width,
+      height: layout.displayHeight * roi.height
+    };
+  }
+}
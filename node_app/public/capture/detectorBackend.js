@@ -0,0 +1,74 @@
+// Creación del FaceDetector con alternativas: GPU -> CPU, y wasm SIMD -> sin SIMD.
+
+import { FaceDetector, FilesetResolver } from "../tasks-vision@0.10.0.js";
+import { createTranslator, DEFAULT_LOCALE } from "./i18n.js";
+
+/**
+ * WebGL2 es requisito del delegado GPU; sin él no vale la pena intentarlo.
+ */
+export function hasWebGL2() {
+  try {
+    return !!document.createElement('canvas').getContext('webgl2');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fileset de MediaPipe para la variante pedida. Mismo formato que FilesetResolver.forVisionTasks.
+ */
+function visionFileset(wasmPath, simd) {
+  const variant = simd ? 'vision_wasm_internal' : 'vision_wasm_nosimd_internal';
+  return {
+    wasmLoaderPath: `${wasmPath}/${variant}.js`,
+    wasmBinaryPath: `${wasmPath}/${variant}.wasm`
+  };
+}
+
+/**
+ * Orden de intentos según la configuración y lo que soporta el navegador.
+ */
+export async function buildBackendChain(cfg) {
+  const simdSupported = await FilesetResolver.isSimdSupported();
+  const simdOptions = simdSupported ? [true] : [false];
+  if (simdSupported && cfg.allowNoSimd) simdOptions.push(false);
+
+  const chain = [];
+  for (const simd of simdOptions) {
+    for (const delegate of cfg.delegates) {
+      chain.push({ delegate, simd });
+    }
+  }
+  return chain;
+}
+
+/**
+ * Prueba cada combinación delegado/wasm hasta que una inicializa.
+ * Devuelve { detector, backend: { delegate, simd, attempts } }; `attempts` registra los fallos previos.
+ * `t` traduce los mensajes de consola.
+ */
+export async function createFaceDetector({ wasmPath, modelAssetPath, detector: cfg }, t = createTranslator(DEFAULT_LOCALE)) {
+  const webgl2 = hasWebGL2();
+  const attempts = [];
+  let lastError = null;
+
+  for (const { delegate, simd } of await buildBackendChain(cfg)) {
+    if (delegate === 'GPU' && !webgl2) {
+      attempts.push({ delegate, simd, error: 'WebGL2 no disponible' });
+      continue;
+    }
+    try {
+      const detector = await FaceDetector.createFromOptions(visionFileset(wasmPath, simd), {
+        baseOptions: { modelAssetPath, delegate },
+        runningMode: "VIDEO"
+      });
+      console.log(t(simd ? 'log.detectorReady' : 'log.detectorReadyNoSimd', { delegate }));
+      return { detector, backend: { delegate, simd, attempts } };
+    } catch (error) {
+      console.warn(t(simd ? 'log.detectorFailed' : 'log.detectorFailedNoSimd', { delegate }), error);
+      attempts.push({ delegate, simd, error: error?.message ?? String(error) });
+      lastError = error;
+    }
+  }
+  throw lastError ?? new Error("Ningún backend del detector está disponible.");
+}
@@ -0,0 +1,134 @@
+// Protocolo postMessage para usar mediapipe.html dentro de un iframe.
+//
+// Todos los mensajes tienen la forma { protocol: 'face-capture', version: 1, type, payload }.
+// Host -> página:
+//   configure { options, includeImage }  Opciones de FaceCapture; includeImage agrega el data URL al resultado.
+//   start | cancel | retry
+//   accept | retake                      Durante la revisión de la foto (estado REVIEW).
+// Página -> host:
+//   ready { version }                    Al cargar, antes de recibir comandos.
+//   status { key, text, color }
+//   progress { progress, frames, elapsedMs }
+//   result { uploadId, metadata, image?, images? }  images: todas las variantes de config.output.
+//   cancelled
+//   outcome { outcome, sessionId, durationMs, restarts }  CAPTURED, CANCELLED o el límite alcanzado.
+//   error { stage, code, message }
+// Solo se aceptan mensajes de los orígenes configurados en el servidor (EMBED_ALLOWED_ORIGINS).
+
+import { FaceCapture, mergeConfig } from "../mediapipe.js";
+import { createTranslator, resolveLocale } from "./i18n.js";
+
+export const PROTOCOL = 'face-capture';
+export const PROTOCOL_VERSION = 1;
+
+export class EmbedBridge {
+  #capture = null;
+  #options = {};
+  #includeImage = false;
+  #hostOrigin = null;
+
+  /**
+   * @param {HTMLElement} container Contenedor donde se monta el widget.
+   * @param {string[]} allowedOrigins Orígenes del host con permiso para controlar la página.
+   * @param {object} baseOptions Opciones base (p. ej. el perfil de la URL); las del host se aplican encima.
+   */
+  constructor(container, allowedOrigins, baseOptions = {}) {
+    this.container = container;
+    this.allowedOrigins = allowedOrigins;
+    this.baseOptions = baseOptions;
+    // Mensajes de consola del puente; el widget usa su propio idioma una vez configurado.
+    this.t = createTranslator(resolveLocale({ configured: baseOptions.locale }));
+    window.addEventListener('message', (event) => this.#onMessage(event));
+
+    // Aún no sabemos quién nos embebe: se anuncia solo a los orígenes permitidos.
+    for (const origin of allowedOrigins) this.#post('ready', { version: PROTOCOL_VERSION }, origin);
+  }
+
+  /**
+   * Descarga la lista de orígenes permitidos del servidor y crea el puente.
+   */
+  static async connect(container, { configUrl = '/api/embed-config', baseOptions = {} } = {}) {
+    const res = await fetch(configUrl);
+    if (!res.ok) throw new Error(`No se pudo cargar la configuración de embebido (${res.status})`);
+    const { allowedOrigins } = await res.json();
+    return new EmbedBridge(container, allowedOrigins, baseOptions);
+  }
+
+  #onMessage(event) {
+    const message = event.data;
+    if (event.source !== window.parent || message?.protocol !== PROTOCOL) return;
+    if (!this.allowedOrigins.includes(event.origin)) {
+      console.warn(this.t('log.originRejected'), event.origin);
+      return;
+    }
+    this.#hostOrigin = event.origin;
+
+    if (message.version !== PROTOCOL_VERSION) {
+      this.#post('error', { stage: 'protocol', code: 'unsupported_version', message: `Versión ${message.version} no soportada; se espera ${PROTOCOL_VERSION}.` });
+      return;
+    }
+
+    switch (message.type) {
+      case 'configure':
+        this.#configure(message.payload ?? {});
+        break;
+      case 'start':
+        this.#getCapture().start();
+        break;
+      case 'cancel':
+        this.#capture?.cancel();
+        this.#post('cancelled');
+        break;
+      case 'accept':
+        this.#capture?.accept();
+        break;
+      case 'retake':
+        this.#capture?.retake();
+        break;
+      case 'retry': {
+        const capture = this.#getCapture();
+        Promise.resolve(capture.reset()).then(() => capture.start());
+        break;
+      }
+      default:
+        this.#post('error', { stage: 'protocol', code: 'unknown_command', message: `Comando desconocido: ${message.type}` });
+    }
+  }
+
+  /**
+   * Reemplaza la configuración. Si ya había un widget se descarta y se crea uno nuevo.
+   */
+  #configure({ options = {}, includeImage = false }) {
+    this.#options = options;
+    this.#includeImage = includeImage;
+    if (this.#capture) {
+      this.#capture.destroy();
+      this.container.replaceChildren();
+      this.#capture = null;
+    }
+  }
+
+  #getCapture() {
+    if (this.#capture) return this.#capture;
+
+    const capture = new FaceCapture(this.container, mergeConfig(this.baseOptions, this.#options));
+    capture.addEventListener('statuschange', (e) => this.#post('status', e.detail));
+    capture.addEventListener('progress', (e) => this.#post('progress', e.detail));
+    capture.addEventListener('outcome', (e) => this.#post('outcome', e.detail));
+    capture.addEventListener('captured', (e) => {
+      const { image, images, metadata, uploadId } = e.detail;
+      this.#post('result', this.#includeImage ? { uploadId, metadata, image, images } : { uploadId, metadata });
+    });
+    capture.addEventListener('error', (e) => {
+      const { stage, code, error } = e.detail;
+      this.#post('error', { stage, code, message: error?.message ?? String(error) });
+    });
+    this.#capture = capture;
+    return capture;
+  }
+
+  #post(type, payload, targetOrigin = this.#hostOrigin) {
+    if (!targetOrigin) return;
+    window.parent.postMessage({ protocol: PROTOCOL, version: PROTOCOL_VERSION, type, payload }, targetOrigin);
+  }
+}
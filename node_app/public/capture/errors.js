@@ -0,0 +1,80 @@
+// Taxonomía de errores del flujo de captura y reporte al servidor.
+
+import { createTranslator, DEFAULT_LOCALE } from "./i18n.js";
+
+export const ERROR_CODES = {
+  UNSUPPORTED_BROWSER: 'UNSUPPORTED_BROWSER',
+  MODEL_LOAD_FAILED: 'MODEL_LOAD_FAILED',
+  CAMERA_PERMISSION_DENIED: 'CAMERA_PERMISSION_DENIED',
+  CAMERA_NOT_FOUND: 'CAMERA_NOT_FOUND',
+  CAMERA_IN_USE: 'CAMERA_IN_USE',
+  CAMERA_FAILED: 'CAMERA_FAILED',
+  DETECTION_FAILED: 'DETECTION_FAILED',
+  UPLOAD_FAILED: 'UPLOAD_FAILED'
+};
+
+// `false` oculta el botón de reintentar: repetir no cambia el resultado.
+// Los textos de cada código están en los catálogos (error.<CODE>.title / .description).
+export const ERROR_RETRYABLE = {
+  UNSUPPORTED_BROWSER: false,
+  MODEL_LOAD_FAILED: true,
+  CAMERA_PERMISSION_DENIED: true,
+  CAMERA_NOT_FOUND: true,
+  CAMERA_IN_USE: true,
+  CAMERA_FAILED: true,
+  DETECTION_FAILED: true,
+  UPLOAD_FAILED: true
+};
+
+export class CaptureError extends Error {
+  /**
+   * @param {string} code Una de ERROR_CODES.
+   * @param {object} options { stage, cause }
+   */
+  constructor(code, { stage, cause } = {}) {
+    super(cause?.message ? `${code}: ${cause.message}` : code, { cause });
+    this.name = 'CaptureError';
+    this.code = code;
+    this.stage = stage;
+  }
+}
+
+/**
+ * Traduce un error de getUserMedia (DOMException) a un código de la taxonomía.
+ */
+export function classifyCameraError(error) {
+  if (error instanceof CaptureError) return error;
+  const byName = {
+    NotAllowedError: ERROR_CODES.CAMERA_PERMISSION_DENIED,
+    SecurityError: ERROR_CODES.CAMERA_PERMISSION_DENIED,
+    NotFoundError: ERROR_CODES.CAMERA_NOT_FOUND,
+    OverconstrainedError: ERROR_CODES.CAMERA_NOT_FOUND,
+    NotReadableError: ERROR_CODES.CAMERA_IN_USE,
+    TrackStartError: ERROR_CODES.CAMERA_IN_USE,
+    AbortError: ERROR_CODES.CAMERA_IN_USE
+  };
+  return new CaptureError(byName[error?.name] ?? ERROR_CODES.CAMERA_FAILED, { stage: 'camera', cause: error });
+}
+
+/**
+ * Envía el error al servidor sin bloquear la página (sendBeacon si está disponible).
+ * `t` traduce el aviso de consola si el envío falla.
+ */
+export function reportError(url, error, context = {}, t = createTranslator(DEFAULT_LOCALE)) {
+  if (!url) return;
+  const body = JSON.stringify({
+    code: error.code,
+    stage: error.stage,
+    message: error.cause?.message ?? error.message,
+    userAgent: navigator.userAgent,
+    timestamp: new Date().toISOString(),
+    ...context
+  });
+  try {
+    const blob = new Blob([body], { type: 'application/json' });
+    if (navigator.sendBeacon?.(url, blob)) return;
+    fetch(url, { method: 'POST', headers: { 'content-type': 'application/json' }, body, keepalive: true }).catch(() => {});
+  } catch (reportFailure) {
+    console.warn(t('log.reportFailed'), reportFailure);
+  }
+}
@@ -0,0 +1,50 @@
+// Lectura de píxeles del rostro desde el frame de video, compartida por los
+// módulos que analizan la imagen (anti-spoofing, calidad).
+
+let canvas = null;
+let ctx = null;
+
+/**
+ * Recorta el rostro del frame actual y lo devuelve en escala de grises.
+ * `box` es el boundingBox de MediaPipe (píxeles del video, sin espejo).
+ * `size` es el ancho de salida; el alto conserva la proporción del recorte.
+ */
+export function readFaceCrop(video, box, { size = 96, margin = 0 } = {}) {
+  if (!canvas) {
+    canvas = document.createElement('canvas');
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  const sx = Math.max(0, box.originX - box.width * margin);
+  const sy = Math.max(0, box.originY - box.height * margin);
+  const sw = Math.min(video.videoWidth - sx, box.width * (1 + 2 * margin));
+  const sh = Math.min(video.videoHeight - sy, box.height * (1 + 2 * margin));
+  if (sw <= 0 || sh <= 0) return null;
+
+  const width = Math.round(size);
+  const height = Math.max(1, Math.round(size * sh / sw));
+  canvas.width = width;
+  canvas.height = height;
+  ctx.drawImage(video, sx, sy, sw, sh, 0, 0, width, height);
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return { gray, width, height, sourceWidth: sw, sourceHeight: sh };
+}
+
+/**
+ * Laplaciano 4-vecinos del recorte (bordes excluidos), como Float32Array del mismo tamaño.
+ */
+export function laplacian({ gray, width, height }) {
+  const out = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      out[i] = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+    }
+  }
+  return out;
+}
@@ -0,0 +1,83 @@
+// Indicaciones de posición a partir de la geometría del rostro respecto del ROI.
+// Ambas cajas en píxeles de pantalla ({ left, top, width, height }), es decir, ya
+// espejadas: si el rostro aparece a la izquierda, la persona debe moverse a la derecha.
+
+export const HINTS = ['MOVE_BACK', 'MOVE_LEFT', 'MOVE_RIGHT', 'MOVE_UP', 'MOVE_DOWN', 'MOVE_CLOSER'];
+
+/**
+ * Devuelve la indicación más importante para un rostro que no está contenido en el ROI
+ * (`roi` es el rectángulo que contiene la forma).
+ * Prioridad: alejarse (no cabe) > desplazamiento horizontal > vertical > acercarse.
+ * La indicación `current` se mantiene con umbrales relajados en `cfg.hysteresis`
+ * para que no alterne cuando la medida ronda el límite.
+ */
+export function computePositionHint(face, roi, cfg, current = null) {
+  const relax = (hint) => hint === current ? 1 - cfg.hysteresis : 1;
+  const fill = face.height / roi.height;
+  if (fill > cfg.maxFill * relax('MOVE_BACK')) return 'MOVE_BACK';
+
+  const dx = (roi.left + roi.width / 2 - (face.left + face.width / 2)) / roi.width;
+  const dy = (roi.top + roi.height / 2 - (face.top + face.height / 2)) / roi.height;
+  const horizontal = dx > 0 ? 'MOVE_RIGHT' : 'MOVE_LEFT';
+  const vertical = dy > 0 ? 'MOVE_DOWN' : 'MOVE_UP';
+  if (Math.abs(dx) > cfg.offsetTolerance * relax(horizontal) && Math.abs(dx) >= Math.abs(dy)) return horizontal;
+  if (Math.abs(dy) > cfg.offsetTolerance * relax(vertical)) return vertical;
+
+  if (fill < cfg.minFill * (2 - relax('MOVE_CLOSER'))) return 'MOVE_CLOSER';
+
+  // Centrado y de buen tamaño pero un borde sobresale: se indica hacia dónde corregir.
+  const overflow = {
+    MOVE_RIGHT: roi.left - face.left,
+    MOVE_LEFT: face.left + face.width - (roi.left + roi.width),
+    MOVE_DOWN: roi.top - face.top,
+    MOVE_UP: face.top + face.height - (roi.top + roi.height)
+  };
+  const [hint, amount] = Object.entries(overflow).reduce((max, entry) => entry[1] > max[1] ? entry : max);
+  if (amount > 0) return hint;
+
+  // Dentro del rectángulo pero fuera de la forma (elipse, polígono): hacia el
+  // centro, o alejarse si ya está centrado y aun así no entra.
+  if (dx === 0 && dy === 0) return 'MOVE_BACK';
+  return Math.abs(dx) >= Math.abs(dy) ? horizontal : vertical;
+}
+
+/**
+ * Indicación estable entre frames: una indicación nueva debe repetirse durante
+ * `cfg.switchFrames` frames antes de reemplazar a la que se muestra.
+ */
+export class PositionGuide {
+  #candidate = null;
+  #candidateFrames = 0;
+
+  constructor(cfg) {
+    this.cfg = cfg;
+    this.hint = null;
+  }
+
+  reset() {
+    this.hint = null;
+    this.#candidate = null;
+    this.#candidateFrames = 0;
+  }
+
+  update(face, roi) {
+    const next = computePositionHint(face, roi, this.cfg, this.hint);
+    if (next === this.hint) {
+      this.#candidate = null;
+      this.#candidateFrames = 0;
+      return this.hint;
+    }
+
+    if (next !== this.#candidate) {
+      this.#candidate = next;
+      this.#candidateFrames = 0;
+    }
+    // La primera indicación se muestra de inmediato; los cambios esperan.
+    if (this.hint === null || ++this.#candidateFrames >= this.cfg.switchFrames) {
+      this.hint = next;
+      this.#candidate = null;
+      this.#candidateFrames = 0;
+    }
+    return this.hint;
+  }
+}
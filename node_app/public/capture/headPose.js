@@ -0,0 +1,96 @@
+// Estimación aproximada de la pose de la cabeza (yaw/pitch/roll, en grados) a partir
+// de los seis keypoints de BlazeFace o, si están disponibles, de los 68 landmarks de face-api.
+// Modelo geométrico simple (cabeza como cilindro, nariz sobresaliendo del plano del rostro):
+// no reemplaza a un solvePnP, pero separa los tres ejes y es estable entre frames.
+
+import { KEYPOINT } from "./liveness.js";
+
+// Proporciones de un rostro promedio usadas por el modelo.
+const HEAD_RADIUS_TO_NOSE_DEPTH = 0.75; // Media distancia entre orejas / profundidad de la nariz desde el eje de las orejas
+const NOSE_DEPTH_TO_FACE_HEIGHT = 0.4;  // Protrusión de la nariz / distancia ojos-boca
+const NOSE_HEIGHT_RATIO = 0.55;         // Altura de la punta de la nariz entre ojos (0) y boca (1), de frente
+
+const mean = (points) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+});
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+/**
+ * Reduce la detección a seis puntos con nombre. Con landmarks de 68 puntos, los
+ * bordes de la mandíbula a la altura de los ojos hacen de orejas.
+ */
+function facePoints(detection) {
+  const landmarks = detection.landmarks;
+  if (landmarks?.length === 68) {
+    return {
+      eyeA: mean(range(36, 41).map(i => landmarks[i])),
+      eyeB: mean(range(42, 47).map(i => landmarks[i])),
+      nose: landmarks[30],
+      mouth: mean(range(48, 67).map(i => landmarks[i])),
+      earA: landmarks[0],
+      earB: landmarks[16]
+    };
+  }
+  const k = detection.keypoints;
+  return {
+    eyeA: k[KEYPOINT.LEFT_EYE],
+    eyeB: k[KEYPOINT.RIGHT_EYE],
+    nose: k[KEYPOINT.NOSE_TIP],
+    mouth: k[KEYPOINT.MOUTH],
+    earA: k[KEYPOINT.LEFT_EAR],
+    earB: k[KEYPOINT.RIGHT_EAR]
+  };
+}
+
+/**
+ * @param {object} detection Detección con `keypoints` (y opcionalmente `landmarks`)
+ *   en coordenadas normalizadas del video.
+ * @param {number} aspectRatio videoWidth / videoHeight, para medir ángulos en píxeles reales.
+ * @returns {{ yaw: number, pitch: number, roll: number } | null} Grados; 0 de frente.
+ *   yaw > 0 gira hacia la derecha de la imagen, pitch > 0 mira hacia abajo,
+ *   roll > 0 inclina en sentido horario en la imagen (sin espejo).
+ */
+export function estimateHeadPose(detection, aspectRatio = 1) {
+  if (!detection?.keypoints || detection.keypoints.length < 6) return null;
+
+  const raw = facePoints(detection);
+  const points = Object.fromEntries(Object.entries(raw).map(([name, p]) => [name, { x: p.x * aspectRatio, y: p.y }]));
+  const [eyeLeft, eyeRight] = points.eyeA.x <= points.eyeB.x ? [points.eyeA, points.eyeB] : [points.eyeB, points.eyeA];
+  const [earLeft, earRight] = points.earA.x <= points.earB.x ? [points.earA, points.earB] : [points.earB, points.earA];
+
+  // Roll: inclinación de la línea de los ojos. El resto se mide en el rostro "enderezado".
+  const roll = Math.atan2(eyeRight.y - eyeLeft.y, eyeRight.x - eyeLeft.x);
+  const origin = mean([earLeft, earRight]);
+  const cos = Math.cos(-roll);
+  const sin = Math.sin(-roll);
+  const unroll = (p) => ({
+    x: origin.x + (p.x - origin.x) * cos - (p.y - origin.y) * sin,
+    y: origin.y + (p.x - origin.x) * sin + (p.y - origin.y) * cos
+  });
+  const nose = unroll(points.nose);
+  const mouth = unroll(points.mouth);
+  const eyes = mean([unroll(eyeLeft), unroll(eyeRight)]);
+  const halfEarDistance = Math.abs(unroll(earRight).x - unroll(earLeft).x) / 2;
+  const faceHeight = mouth.y - eyes.y;
+  if (halfEarDistance === 0 || faceHeight <= 0) return null;
+
+  // Yaw: la nariz se desplaza D·sin(yaw) mientras el ancho entre orejas se reduce con cos(yaw).
+  const yaw = Math.atan((nose.x - origin.x) / halfEarDistance * HEAD_RADIUS_TO_NOSE_DEPTH);
+  // Pitch: la punta de la nariz baja (o sube) respecto de su altura de frente entre ojos y boca.
+  const noseHeight = (nose.y - eyes.y) / faceHeight;
+  const pitch = Math.atan((noseHeight - NOSE_HEIGHT_RATIO) / NOSE_DEPTH_TO_FACE_HEIGHT);
+
+  const toDegrees = (rad) => rad * 180 / Math.PI;
+  return { yaw: toDegrees(yaw), pitch: toDegrees(pitch), roll: toDegrees(roll) };
+}
+
+/**
+ * true si los tres ángulos están dentro de los límites de `cfg` (config.headPose).
+ */
+export function isPoseFrontal(pose, cfg) {
+  return Boolean(pose)
+    && Math.abs(pose.yaw) <= cfg.maxYaw
+    && Math.abs(pose.pitch) <= cfg.maxPitch
+    && Math.abs(pose.roll) <= cfg.maxRoll;
+}
@@ -0,0 +1,56 @@
+// Catálogos de mensajes y selección de idioma del widget de captura.
+
+import es from "./locales/es.js";
+import en from "./locales/en.js";
+
+export const DEFAULT_LOCALE = 'es';
+
+const CATALOGS = { es, en };
+
+/**
+ * Agrega o extiende un catálogo (p. ej. un idioma nuevo desde la página host).
+ */
+export function registerCatalog(locale, messages) {
+  CATALOGS[locale] = { ...CATALOGS[locale], ...messages };
+}
+
+/**
+ * Primer idioma disponible de la lista de candidatos; "en-US" cae en "en".
+ */
+function matchLocale(candidate) {
+  if (!candidate) return null;
+  const normalized = candidate.toLowerCase();
+  if (CATALOGS[normalized]) return normalized;
+  const base = normalized.split('-')[0];
+  return CATALOGS[base] ? base : null;
+}
+
+/**
+ * Idioma a usar, en orden: parámetro ?lang= de la URL, perfil/opciones, navegador.
+ */
+export function resolveLocale({ configured = null, search = window.location.search, languages = navigator.languages ?? [navigator.language] } = {}) {
+  const candidates = [new URLSearchParams(search).get('lang'), configured, ...languages];
+  for (const candidate of candidates) {
+    const locale = matchLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Devuelve `t(key, params)` para el idioma dado. Las claves que falten en el
+ * catálogo se buscan en el idioma por defecto y, si tampoco están, se devuelve la clave.
+ */
+export function createTranslator(locale) {
+  const pluralRules = new Intl.PluralRules(locale);
+  const catalog = CATALOGS[locale] ?? CATALOGS[DEFAULT_LOCALE];
+
+  return function t(key, params = {}) {
+    let message = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+}
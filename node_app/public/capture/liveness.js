@@ -0,0 +1,209 @@
+// Prueba de vida activa: secuencia aleatoria de desafíos (girar, acercarse, parpadear)
+// verificados a partir del movimiento del rostro entre frames. Los giros usan el yaw
+// en grados de headPose.js, el mismo con que se decide si el rostro está de frente.
+
+// Keypoints de MediaPipe Face Detector (BlazeFace), en coordenadas normalizadas del video.
+export const KEYPOINT = {
+  LEFT_EYE: 0,
+  RIGHT_EYE: 1,
+  NOSE_TIP: 2,
+  MOUTH: 3,
+  LEFT_EAR: 4,
+  RIGHT_EAR: 5
+};
+
+// Ojos en el modelo de 68 landmarks (face-api), usados para el parpadeo.
+const LANDMARKS_68 = {
+  LEFT_EYE: [36, 37, 38, 39, 40, 41],
+  RIGHT_EYE: [42, 43, 44, 45, 46, 47]
+};
+
+/**
+ * Eye Aspect Ratio (Soukupová y Čech, 2016) promedio de ambos ojos.
+ */
+function eyeAspectRatio(landmarks) {
+  const ear = (idx) => {
+    const [p1, p2, p3, p4, p5, p6] = idx.map(i => landmarks[i]);
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    return (dist(p2, p6) + dist(p3, p5)) / (2 * dist(p1, p4));
+  };
+  return (ear(LANDMARKS_68.LEFT_EYE) + ear(LANDMARKS_68.RIGHT_EYE)) / 2;
+}
+
+// --- DESAFÍOS ---
+// Cada fábrica recibe la configuración y devuelve un objeto con estado propio.
+// `update(detection, pose)` devuelve true en el frame en que el desafío se completa;
+// `pose` es la de estimateHeadPose() (null si no se pudo estimar).
+// Todos exigen ver primero el rostro de frente ("armado") para que el movimiento sea real.
+
+function turnChallenge(direction) {
+  return (cfg) => {
+    let armed = false;
+    let hold = 0;
+    return {
+      update(detection, pose) {
+        if (!pose) {
+          hold = 0;
+          return false;
+        }
+        if (!armed) {
+          armed = Math.abs(pose.yaw) < cfg.frontalYaw;
+          return false;
+        }
+        hold = direction * pose.yaw > cfg.turnThreshold ? hold + 1 : 0;
+        return hold >= cfg.holdFrames;
+      }
+    };
+  };
+}
+
+function moveCloserChallenge(cfg) {
+  let baselineWidth = null;
+  let hold = 0;
+  return {
+    update(detection, pose) {
+      const width = detection.boundingBox.width;
+      if (baselineWidth === null) {
+        if (pose && Math.abs(pose.yaw) < cfg.frontalYaw) baselineWidth = width;
+        return false;
+      }
+      hold = width / baselineWidth > cfg.closerScale ? hold + 1 : 0;
+      return hold >= cfg.holdFrames;
+    }
+  };
+}
+
+function blinkChallenge(cfg) {
+  let phase = 'OPEN';
+  return {
+    update(detection) {
+      const ear = eyeAspectRatio(detection.landmarks);
+      if (phase === 'OPEN' && ear < cfg.blinkThreshold) phase = 'CLOSED';
+      else if (phase === 'CLOSED' && ear > cfg.blinkThreshold) return true;
+      return false;
+    }
+  };
+}
+
+export const CHALLENGES = {
+  TURN_LEFT: { create: turnChallenge(1), requiresLandmarks: false },
+  TURN_RIGHT: { create: turnChallenge(-1), requiresLandmarks: false },
+  MOVE_CLOSER: { create: moveCloserChallenge, requiresLandmarks: false },
+  BLINK: { create: blinkChallenge, requiresLandmarks: true }
+};
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Sesión de prueba de vida. Sortea `cfg.count` desafíos de `cfg.challenges`
+ * (descartando el parpadeo si no hay modelo de landmarks) y los avanza en orden.
+ * Aun con `useLandmarks`, el parpadeo se reemplaza si la detección no trae landmarks.
+ */
+export class LivenessSession {
+  #lastBox = null;
+
+  constructor(cfg) {
+    this.cfg = cfg;
+    this.reset();
+  }
+
+  reset() {
+    const pool = this.cfg.challenges.filter(id => CHALLENGES[id] && (this.cfg.useLandmarks || !CHALLENGES[id].requiresLandmarks));
+    this.sequence = shuffle(pool).slice(0, Math.min(this.cfg.count, pool.length));
+    this.index = 0;
+    this.missingFrames = 0;
+    this.completedAt = null;
+    this.#lastBox = null;
+    this.active = this.sequence.length ? CHALLENGES[this.sequence[0]].create(this.cfg) : null;
+  }
+
+  get passed() { return this.index >= this.sequence.length; }
+  get current() { return this.sequence[this.index] ?? null; }
+  get step() { return Math.min(this.index + 1, this.sequence.length); }
+  get total() { return this.sequence.length; }
+
+  /**
+   * Avanza con la detección del frame actual y su pose (estimateHeadPose). Devuelve
+   * true si se completó un desafío.
+   */
+  update(detection, pose) {
+    if (this.passed) return false;
+    if (CHALLENGES[this.current].requiresLandmarks && !detection.landmarks) {
+      this.#replaceCurrent();
+      return false;
+    }
+    if (!this.active.update(detection, pose)) return false;
+
+    this.index++;
+    this.#activate();
+    return true;
+  }
+
+  /**
+   * El detector no entrega landmarks (MediaPipe nunca los trae), así que el
+   * desafío actual no se puede completar: se cambia por otro del pool que no los
+   * necesite o, si no queda ninguno, se quita de la secuencia.
+   */
+  #replaceCurrent() {
+    const spare = this.cfg.challenges.find(id => CHALLENGES[id] && !CHALLENGES[id].requiresLandmarks && !this.sequence.includes(id));
+    if (spare) this.sequence[this.index] = spare;
+    else this.sequence.splice(this.index, 1);
+    this.#activate();
+  }
+
+  #activate() {
+    if (this.passed) {
+      this.completedAt = new Date().toISOString();
+      this.active = null;
+    } else {
+      this.active = CHALLENGES[this.current].create(this.cfg);
+    }
+  }
+
+  /**
+   * Sigue al rostro (o null) en cada frame, también después de superar la prueba:
+   * la captura debe ser del mismo rostro que completó los desafíos. Si se pierde
+   * más de `maxMissingFrames` frames o salta de lugar (otro rostro, una foto
+   * interpuesta) se reinicia la secuencia. Devuelve false si se descartó progreso.
+   */
+  track(detection) {
+    if (!detection) return this.markMissing();
+
+    const box = detection.boundingBox;
+    const last = this.#lastBox;
+    this.#lastBox = box;
+    this.missingFrames = 0;
+    if (this.index === 0 || !last) return true;
+
+    const jump = Math.hypot(
+      box.originX + box.width / 2 - (last.originX + last.width / 2),
+      box.originY + box.height / 2 - (last.originY + last.height / 2)) / last.width;
+    const scale = Math.max(box.width / last.width, last.width / box.width);
+    if (jump <= this.cfg.maxTrackJump && scale <= 1 + this.cfg.maxTrackJump) return true;
+    this.reset();
+    return false;
+  }
+
+  /**
+   * Registra un frame sin rostro. Si se pierde demasiado tiempo se reinicia la
+   * secuencia, para que no se pueda cambiar a una foto a mitad de la prueba ni
+   * después de superarla. Devuelve false si se descartó progreso.
+   */
+  markMissing() {
+    if (this.index === 0) return true;
+    if (++this.missingFrames <= this.cfg.maxMissingFrames) return true;
+    this.reset();
+    return false;
+  }
+
+  summary() {
+    return { challenges: [...this.sequence], passed: this.passed, completedAt: this.completedAt };
+  }
+}
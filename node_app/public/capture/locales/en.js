@@ -0,0 +1,89 @@
+// English message catalog. Parameters in braces: {progress}.
+// An object { one, other } is chosen with Intl.PluralRules from the `count` parameter.
+export default {
+  'status.VALIDATING': 'Validating your face... {progress}%',
+  'status.HOLD_STILL': 'Hold still... {progress}%',
+  'status.VALIDATED': 'Face validated',
+  'status.INVALID': 'Look straight at the camera',
+  'status.NO_FACE': 'Move closer to the camera',
+  'status.LIVENESS_TURN_LEFT': 'Turn your head to the left ({step}/{total})',
+  'status.LIVENESS_TURN_RIGHT': 'Turn your head to the right ({step}/{total})',
+  'status.LIVENESS_MOVE_CLOSER': 'Bring your face closer to the camera ({step}/{total})',
+  'status.LIVENESS_BLINK': 'Blink ({step}/{total})',
+  'status.SPOOF_SUSPECTED': 'Could not verify a live face',
+  'status.TOO_DARK': 'Too dark, find more light',
+  'status.TOO_BRIGHT': 'Too much light on your face',
+  'status.LOW_CONTRAST': 'Avoid light behind you',
+  'status.BLURRY': 'Hold still',
+  'status.FACE_TOO_SMALL': 'Move a little closer',
+  'status.FACE_TOO_LARGE': 'Move back a little',
+  'status.MULTIPLE_FACES': '{count} faces detected: only one person should be in front of the camera',
+  'status.MOVE_LEFT': 'Move to your left',
+  'status.MOVE_RIGHT': 'Move to your right',
+  'status.MOVE_UP': 'Raise your face a little',
+  'status.MOVE_DOWN': 'Lower your face a little',
+  'status.MOVE_CLOSER': 'Move closer to the camera',
+  'status.MOVE_BACK': 'Move away from the camera',
+  'status.REVIEW': 'Does the photo look good?',
+  'status.LAYOUT_CHANGE': 'Adjusting to the screen...',
+
+  'capture.success': 'Capture complete!',
+  'camera.fallbackLabel': 'Camera {index}',
+  'action.retry': 'Retry',
+  'action.cancel': 'Cancel',
+  'action.accept': 'Use this photo',
+  'action.retake': 'Retake',
+
+  'error.UNSUPPORTED_BROWSER.title': 'Unsupported browser',
+  'error.UNSUPPORTED_BROWSER.description': 'This browser cannot use the camera. Open the page in a recent version of Chrome, Edge, Firefox or Safari.',
+  'error.MODEL_LOAD_FAILED.title': 'The detector could not be loaded',
+  'error.MODEL_LOAD_FAILED.description': 'Check your internet connection and try again.',
+  'error.CAMERA_PERMISSION_DENIED.title': 'No permission to use the camera',
+  'error.CAMERA_PERMISSION_DENIED.description': 'Allow camera access from the icon next to the address bar, then press Retry.',
+  'error.CAMERA_NOT_FOUND.title': 'No camera found',
+  'error.CAMERA_NOT_FOUND.description': 'Connect a camera or make sure it is not disabled in your system settings.',
+  'error.CAMERA_IN_USE.title': 'The camera is busy',
+  'error.CAMERA_IN_USE.description': 'Close other applications or tabs that are using the camera and try again.',
+  'error.CAMERA_FAILED.title': 'The camera could not be started',
+  'error.CAMERA_FAILED.description': 'Something unexpected happened with the camera. Please try again.',
+  'error.DETECTION_FAILED.title': 'Detection stopped',
+  'error.DETECTION_FAILED.description': 'The face detector stopped responding. Please try again.',
+  'error.UPLOAD_FAILED.title': 'The capture could not be sent',
+  'error.UPLOAD_FAILED.description': 'The photo was taken but did not reach the server. Check your connection and retry sending it.',
+
+  'session.SESSION_TIMEOUT.title': 'Time is up',
+  'session.SESSION_TIMEOUT.description': 'The capture took too long. You can try again or cancel.',
+  'session.MAX_RESTARTS.title': 'Your face could not be validated',
+  'session.MAX_RESTARTS.description': 'Validation was interrupted several times. Find good lighting, look straight at the camera and try again.',
+  'session.IDLE_TIMEOUT.title': 'Nobody was detected',
+  'session.IDLE_TIMEOUT.description': 'No face was in front of the camera for a while. Press Retry when you are ready.',
+
+  'debug.backend': 'Backend: {delegate}',
+  'debug.backendNoSimd': 'Backend: {delegate} (no SIMD)',
+  'debug.orientation': 'Orientation: {orientation}',
+  'debug.orientation.portrait': 'portrait',
+  'debug.orientation.landscape': 'landscape',
+  'debug.pose': 'Yaw {yaw} · Pitch {pitch} · Roll {roll}',
+  'debug.poseUnavailable': 'Pose: -',
+
+  'log.gpuFallback': 'The detector failed on GPU; switching to CPU:',
+  'log.cameraOpened': 'Camera opened:',
+  'log.captureError': 'Capture error ({code}):',
+  'log.spoofVeto': 'Capture vetoed by anti-spoofing:',
+  'log.livenessPassed': 'Liveness check passed.',
+  'log.livenessLost': 'Lost the face that passed the liveness check; restarting.',
+  'log.challengeCompleted': 'Challenge {step}/{total} completed.',
+  'log.sessionEnded': 'Session ended by limit ({outcome}).',
+  'log.captureCompleted': 'Capture complete.',
+  'log.uploaded': 'Capture sent to the server with ID:',
+  'log.cameraConstraintsFailed': 'Camera constraints not satisfied, trying the next ones:',
+  'log.detectorReady': 'Detector initialized with {delegate}.',
+  'log.detectorReadyNoSimd': 'Detector initialized with {delegate} (wasm without SIMD).',
+  'log.detectorFailed': 'Could not initialize the detector with {delegate}:',
+  'log.detectorFailedNoSimd': 'Could not initialize the detector with {delegate} without SIMD:',
+  'log.originRejected': 'Ignored a message from an origin that is not allowed:',
+  'log.reportFailed': 'Could not report the error:',
+  'log.profileLoaded': 'Capture profile loaded: {name}',
+  'log.embedFailed': 'Could not start embedded mode:',
+  'log.widgetError': 'Error ({stage}):'
+};
@@ -0,0 +1,89 @@
+// Catálogo de mensajes en español. Parámetros entre llaves: {progress}.
+// Un objeto { one, other } se elige con Intl.PluralRules según el parámetro `count`.
+export default {
+  'status.VALIDATING': 'Validando su rostro... {progress}%',
+  'status.HOLD_STILL': 'Quédese quieto... {progress}%',
+  'status.VALIDATED': 'Rostro validado',
+  'status.INVALID': 'Enderece su rostro',
+  'status.NO_FACE': 'Acérquese a la cámara',
+  'status.LIVENESS_TURN_LEFT': 'Gire la cabeza a la izquierda ({step}/{total})',
+  'status.LIVENESS_TURN_RIGHT': 'Gire la cabeza a la derecha ({step}/{total})',
+  'status.LIVENESS_MOVE_CLOSER': 'Acerque el rostro a la cámara ({step}/{total})',
+  'status.LIVENESS_BLINK': 'Parpadee ({step}/{total})',
+  'status.SPOOF_SUSPECTED': 'No se pudo verificar un rostro real',
+  'status.TOO_DARK': 'Demasiado oscuro, busque más luz',
+  'status.TOO_BRIGHT': 'Demasiada luz sobre el rostro',
+  'status.LOW_CONTRAST': 'Evite la luz de fondo',
+  'status.BLURRY': 'Quédese quieto',
+  'status.FACE_TOO_SMALL': 'Acérquese un poco más',
+  'status.FACE_TOO_LARGE': 'Aléjese un poco',
+  'status.MULTIPLE_FACES': 'Se detectaron {count} rostros: solo debe haber una persona frente a la cámara',
+  'status.MOVE_LEFT': 'Muévase hacia su izquierda',
+  'status.MOVE_RIGHT': 'Muévase hacia su derecha',
+  'status.MOVE_UP': 'Suba un poco el rostro',
+  'status.MOVE_DOWN': 'Baje un poco el rostro',
+  'status.MOVE_CLOSER': 'Acérquese a la cámara',
+  'status.MOVE_BACK': 'Aléjese de la cámara',
+  'status.REVIEW': '¿La foto se ve bien?',
+  'status.LAYOUT_CHANGE': 'Ajustando la imagen a la pantalla...',
+
+  'capture.success': '¡Captura completada!',
+  'camera.fallbackLabel': 'Cámara {index}',
+  'action.retry': 'Reintentar',
+  'action.cancel': 'Cancelar',
+  'action.accept': 'Usar esta foto',
+  'action.retake': 'Repetir',
+
+  'error.UNSUPPORTED_BROWSER.title': 'Navegador no compatible',
+  'error.UNSUPPORTED_BROWSER.description': 'Este navegador no permite usar la cámara. Abra la página en una versión reciente de Chrome, Edge, Firefox o Safari.',
+  'error.MODEL_LOAD_FAILED.title': 'No se pudo cargar el detector',
+  'error.MODEL_LOAD_FAILED.description': 'Revise su conexión a internet y vuelva a intentarlo.',
+  'error.CAMERA_PERMISSION_DENIED.title': 'Sin permiso para usar la cámara',
+  'error.CAMERA_PERMISSION_DENIED.description': 'Permita el acceso a la cámara desde el ícono junto a la barra de direcciones y luego presione Reintentar.',
+  'error.CAMERA_NOT_FOUND.title': 'No se encontró una cámara',
+  'error.CAMERA_NOT_FOUND.description': 'Conecte una cámara o verifique que no esté deshabilitada en el sistema.',
+  'error.CAMERA_IN_USE.title': 'La cámara está ocupada',
+  'error.CAMERA_IN_USE.description': 'Cierre otras aplicaciones o pestañas que estén usando la cámara y vuelva a intentarlo.',
+  'error.CAMERA_FAILED.title': 'No se pudo iniciar la cámara',
+  'error.CAMERA_FAILED.description': 'Ocurrió un problema inesperado con la cámara. Vuelva a intentarlo.',
+  'error.DETECTION_FAILED.title': 'Se interrumpió la detección',
+  'error.DETECTION_FAILED.description': 'El detector de rostros dejó de responder. Vuelva a intentarlo.',
+  'error.UPLOAD_FAILED.title': 'No se pudo enviar la captura',
+  'error.UPLOAD_FAILED.description': 'La foto se tomó correctamente pero no llegó al servidor. Revise su conexión y reintente el envío.',
+
+  'session.SESSION_TIMEOUT.title': 'Se agotó el tiempo',
+  'session.SESSION_TIMEOUT.description': 'La captura tardó demasiado. Puede intentarlo de nuevo o cancelar.',
+  'session.MAX_RESTARTS.title': 'No se pudo validar el rostro',
+  'session.MAX_RESTARTS.description': 'La validación se interrumpió varias veces. Busque buena luz, mire de frente a la cámara y vuelva a intentarlo.',
+  'session.IDLE_TIMEOUT.title': 'No se detectó a nadie',
+  'session.IDLE_TIMEOUT.description': 'No hubo ningún rostro frente a la cámara durante un tiempo. Presione Reintentar cuando esté listo.',
+
+  'debug.backend': 'Backend: {delegate}',
+  'debug.backendNoSimd': 'Backend: {delegate} (sin SIMD)',
+  'debug.orientation': 'Orientación: {orientation}',
+  'debug.orientation.portrait': 'vertical',
+  'debug.orientation.landscape': 'horizontal',
+  'debug.pose': 'Yaw {yaw} · Pitch {pitch} · Roll {roll}',
+  'debug.poseUnavailable': 'Pose: -',
+
+  'log.gpuFallback': 'El detector falló con GPU; cambiando a CPU:',
+  'log.cameraOpened': 'Cámara abierta:',
+  'log.captureError': 'Error de captura ({code}):',
+  'log.spoofVeto': 'Captura vetada por anti-spoofing:',
+  'log.livenessPassed': 'Prueba de vida superada.',
+  'log.livenessLost': 'Se perdió el rostro que superó la prueba de vida; se reinicia.',
+  'log.challengeCompleted': 'Desafío {step}/{total} completado.',
+  'log.sessionEnded': 'Sesión finalizada por límite ({outcome}).',
+  'log.captureCompleted': 'Captura completada.',
+  'log.uploaded': 'Captura enviada al servidor con ID:',
+  'log.cameraConstraintsFailed': 'Restricciones de cámara no satisfechas, probando la siguiente:',
+  'log.detectorReady': 'Detector inicializado con {delegate}.',
+  'log.detectorReadyNoSimd': 'Detector inicializado con {delegate} (wasm sin SIMD).',
+  'log.detectorFailed': 'No se pudo inicializar el detector con {delegate}:',
+  'log.detectorFailedNoSimd': 'No se pudo inicializar el detector con {delegate} sin SIMD:',
+  'log.originRejected': 'Mensaje ignorado de un origen no permitido:',
+  'log.reportFailed': 'No se pudo reportar el error:',
+  'log.profileLoaded': 'Perfil de captura cargado: {name}',
+  'log.embedFailed': 'No se pudo iniciar el modo embebido:',
+  'log.widgetError': 'Error ({stage}):'
+};
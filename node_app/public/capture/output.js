@@ -0,0 +1,99 @@
+// Imágenes de salida de la captura, a la resolución nativa del video:
+//   full      Cuadro completo.
+//   face      Recorte del rostro con margen.
+//   portrait  Retrato estilo ICAO: ojos nivelados y distancia entre ojos fija.
+
+import { KEYPOINT } from "./liveness.js";
+
+export const OUTPUT_VARIANTS = ['full', 'face', 'portrait'];
+
+export const OUTPUT_MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+/**
+ * Prepara el lienzo y, si `mirror`, invierte el eje X para que la imagen coincida
+ * con lo que la persona ve en pantalla.
+ */
+function prepare(canvas, width, height, mirror) {
+  canvas.width = Math.round(width);
+  canvas.height = Math.round(height);
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  if (mirror) {
+    ctx.translate(canvas.width, 0);
+    ctx.scale(-1, 1);
+  }
+  return ctx;
+}
+
+function renderFull(canvas, video, { mirror }) {
+  const ctx = prepare(canvas, video.videoWidth, video.videoHeight, mirror);
+  ctx.drawImage(video, 0, 0);
+}
+
+/**
+ * Recorte de la caja del rostro ampliada `faceMargin` (fracción del tamaño) por
+ * lado, limitado al cuadro.
+ */
+function renderFace(canvas, video, detection, { mirror, faceMargin }) {
+  const box = detection.boundingBox;
+  const marginX = box.width * faceMargin;
+  const marginY = box.height * faceMargin;
+  const left = Math.max(0, box.originX - marginX);
+  const top = Math.max(0, box.originY - marginY);
+  const right = Math.min(video.videoWidth, box.originX + box.width + marginX);
+  const bottom = Math.min(video.videoHeight, box.originY + box.height + marginY);
+
+  const ctx = prepare(canvas, right - left, bottom - top, mirror);
+  ctx.drawImage(video, left, top, right - left, bottom - top, 0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Retrato alineado: rota para nivelar los ojos, escala para que la distancia entre
+ * ellos sea `eyeDistance` del ancho y ubica su punto medio centrado a `eyeLine` del alto.
+ * Lo que queda fuera del cuadro del video se rellena con `background`.
+ */
+function renderPortrait(canvas, coords, detection, { mirror, portrait }) {
+  const eyeA = coords.normalizedToVideo(detection.keypoints[KEYPOINT.LEFT_EYE]);
+  const eyeB = coords.normalizedToVideo(detection.keypoints[KEYPOINT.RIGHT_EYE]);
+  const [left, right] = eyeA.x <= eyeB.x ? [eyeA, eyeB] : [eyeB, eyeA];
+  const eyeDistance = Math.hypot(right.x - left.x, right.y - left.y);
+  if (eyeDistance === 0) return false;
+
+  const ctx = prepare(canvas, portrait.width, portrait.height, mirror);
+  ctx.fillStyle = portrait.background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height * portrait.eyeLine);
+  ctx.scale(portrait.eyeDistance * canvas.width / eyeDistance, portrait.eyeDistance * canvas.width / eyeDistance);
+  ctx.rotate(-Math.atan2(right.y - left.y, right.x - left.x));
+  ctx.translate(-(left.x + right.x) / 2, -(left.y + right.y) / 2);
+  ctx.drawImage(coords.video, 0, 0);
+  return true;
+}
+
+/**
+ * Genera las variantes pedidas en `cfg.variants` (config.output) como data URLs.
+ * `coords` es el CoordinateSpace del video. Con `cfg.mirror` las imágenes se
+ * espejan como en pantalla; sin él se guarda la imagen real de la cámara.
+ * Devuelve un objeto { variante: dataUrl } en el mismo orden.
+ */
+export function renderOutputs(canvas, coords, detection, cfg) {
+  const video = coords.video;
+  const mimeType = OUTPUT_MIME_TYPES[cfg.format];
+  const images = {};
+  for (const variant of cfg.variants) {
+    if (variant === 'full') renderFull(canvas, video, cfg);
+    else if (variant === 'face') renderFace(canvas, video, detection, cfg);
+    else if (variant === 'portrait' && !renderPortrait(canvas, coords, detection, cfg)) continue;
+    images[variant] = canvas.toDataURL(mimeType, cfg.quality);
+  }
+  // Siempre hay al menos una imagen para enviar.
+  if (Object.keys(images).length === 0) {
+    renderFull(canvas, video, cfg);
+    images.full = canvas.toDataURL(mimeType, cfg.quality);
+  }
+  return images;
+}
@@ -0,0 +1,303 @@
+// Superposición del widget dibujada en un único <canvas>: máscara del ROI, anillo de
+// progreso alrededor del ROI, cajas de rostros, keypoints y mensaje de estado.
+// Reemplaza a los <div> que se creaban y borraban en cada frame. El canvas es
+// decorativo (aria-hidden): el texto del estado sigue en el DOM, en la región ARIA
+// del modo accesible.
+
+import { traceROI } from "./roiShape.js";
+
+// Colores y fuentes por defecto; se sobrescriben con config.theme o FaceCapture#setTheme().
+export const DEFAULT_THEME = {
+  maskColor: 'rgba(0, 0, 0, 0.6)',        // Oscurece lo que queda fuera del ROI
+  roiColor: '#FFFFFF',
+  roiLineWidth: 3,
+  roiDash: [12, 8],                       // [] para línea continua
+  boxFill: 'rgba(255, 255, 255, 0.1)',
+  boxLineWidth: 3,
+  keypointColor: '#FF0000',
+  fontFamily: 'sans-serif',
+  fontWeight: 'normal',
+  statusTextColor: '#FFFFFF',
+  statusPadding: 10,
+  statusRadius: 4,
+  ringTrackColor: 'rgba(255, 255, 255, 0.3)', // El progreso usa el color del estado
+  ringWidth: 8
+};
+
+// Duración (ms) de los efectos de playEffect() y período del pulso "quédese quieto".
+const EFFECT_DURATION = { success: 900, failure: 500 };
+const PULSE_PERIOD = 700;
+
+/**
+ * Dibuja escenas en el canvas. `render(scene)` se puede llamar varias veces por
+ * frame: solo se dibuja la última, en el siguiente requestAnimationFrame.
+ *
+ * Escena (coordenadas en píxeles de pantalla salvo el ROI):
+ *   roi        { x, y, width, height, shape?, points? } en fracciones de la pantalla
+ *              (ver roiShape.js), o null para ocultarlo.
+ *   faces      [{ left, top, width, height, color }]
+ *   keypoints  [{ x, y }]
+ *   status     { text, color, box? }; sobre `box` si viene, si no en el centro del ROI.
+ *   ring       { progress 0-1, color, pulse }; óvalo inscrito en el ROI que se llena
+ *              con el progreso. Con `pulse` late para pedir que la persona no se mueva.
+ */
+export class OverlayRenderer {
+  #canvas;
+  #ctx;
+  #scene = null;
+  #frameId = null;
+  #effect = null;
+
+  /**
+   * @param {HTMLElement} container
+   * @param {object} options { theme, fontSize (CSS), keypointSize (px) }
+   */
+  constructor(container, { theme = {}, fontSize = '46px', keypointSize = 20 } = {}) {
+    this.theme = { ...DEFAULT_THEME, ...theme };
+    this.fontSize = fontSize;
+    this.keypointSize = keypointSize;
+
+    this.#canvas = document.createElement('canvas');
+    this.#canvas.className = 'capture-overlay';
+    this.#canvas.setAttribute('aria-hidden', 'true');
+    this.#ctx = this.#canvas.getContext('2d');
+    container.appendChild(this.#canvas);
+  }
+
+  setTheme(theme) {
+    this.theme = { ...this.theme, ...theme };
+    if (this.#scene) this.render(this.#scene);
+  }
+
+  render(scene) {
+    this.#scene = scene;
+    this.#schedule();
+  }
+
+  /**
+   * Animación breve sobre el óvalo del ROI: 'success' (se expande y desvanece) o
+   * 'failure' (parpadea y tiembla). Recibe su propio ROI y color porque puede
+   * seguir dibujándose después de clear(), p. ej. al capturar.
+   */
+  playEffect(name, { roi, color }) {
+    this.#effect = { name, roi, color, start: performance.now() };
+    this.#schedule();
+  }
+
+  #schedule() {
+    this.#frameId ??= requestAnimationFrame(() => {
+      this.#frameId = null;
+      this.#draw(this.#scene);
+    });
+  }
+
+  /**
+   * Borra todo de inmediato, incluido un dibujo pendiente.
+   */
+  clear() {
+    if (this.#frameId !== null) cancelAnimationFrame(this.#frameId);
+    this.#frameId = null;
+    this.#scene = null;
+    this.#effect = null;
+    this.#resize();
+    this.#ctx.clearRect(0, 0, this.#canvas.clientWidth, this.#canvas.clientHeight);
+  }
+
+  /**
+   * Ajusta el buffer del canvas a su tamaño en pantalla y a la densidad de píxeles.
+   */
+  #resize() {
+    const canvas = this.#canvas;
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * dpr);
+    const height = Math.round(canvas.clientHeight * dpr);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    this.#ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  #draw(scene) {
+    this.#resize();
+    const ctx = this.#ctx;
+    const width = this.#canvas.clientWidth;
+    const height = this.#canvas.clientHeight;
+    const now = performance.now();
+    ctx.clearRect(0, 0, width, height);
+
+    const toPixels = (roi) => roi && {
+      shape: roi.shape,
+      points: roi.points,
+      left: roi.x * width,
+      top: roi.y * height,
+      width: roi.width * width,
+      height: roi.height * height
+    };
+    const roi = toPixels(scene?.roi);
+    if (roi) {
+      this.#drawROI(roi, width, height);
+      if (scene.ring) this.#drawRing(roi, scene.ring, now);
+    }
+    for (const face of scene?.faces ?? []) this.#drawBox(face);
+    for (const point of scene?.keypoints ?? []) this.#drawKeypoint(point);
+    if (scene?.status) this.#drawStatus(scene.status, roi ?? { left: 0, top: 0, width, height }, width);
+
+    // Los efectos y el pulso necesitan frames aunque no llegue una escena nueva.
+    const effect = this.#effect;
+    const elapsed = effect && now - effect.start;
+    if (effect && elapsed < EFFECT_DURATION[effect.name]) {
+      this.#drawEffect(toPixels(effect.roi), effect, elapsed / EFFECT_DURATION[effect.name]);
+      this.#schedule();
+    } else {
+      this.#effect = null;
+      if (scene?.ring?.pulse) this.#schedule();
+    }
+  }
+
+  #drawROI(roi, width, height) {
+    const ctx = this.#ctx;
+    const { theme } = this;
+    // Máscara: todo el canvas menos la forma del ROI (regla evenodd).
+    ctx.beginPath();
+    ctx.rect(0, 0, width, height);
+    traceROI(ctx, roi, roi);
+    ctx.fillStyle = theme.maskColor;
+    ctx.fill('evenodd');
+
+    ctx.setLineDash(theme.roiDash);
+    ctx.lineWidth = theme.roiLineWidth;
+    ctx.strokeStyle = theme.roiColor;
+    ctx.beginPath();
+    traceROI(ctx, roi, roi);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  /**
+   * Óvalo inscrito en el ROI: pista completa y arco de progreso desde arriba, en
+   * sentido horario. El pulso varía el grosor y la opacidad del arco, que sigue
+   * mostrando el progreso real.
+   */
+  #drawRing(roi, ring, now) {
+    const ctx = this.#ctx;
+    const { theme } = this;
+    const ellipse = (start, end) => {
+      ctx.beginPath();
+      ctx.ellipse(roi.left + roi.width / 2, roi.top + roi.height / 2, roi.width / 2, roi.height / 2, 0, start, end);
+    };
+
+    ctx.lineWidth = theme.ringWidth;
+    ctx.strokeStyle = theme.ringTrackColor;
+    ellipse(0, Math.PI * 2);
+    ctx.stroke();
+
+    const pulse = ring.pulse ? (1 + Math.sin(now / PULSE_PERIOD * Math.PI * 2)) / 2 : 0;
+    const { progress } = ring;
+    if (progress <= 0) return;
+    ctx.save();
+    ctx.globalAlpha = 1 - pulse * 0.5;
+    ctx.lineWidth = theme.ringWidth * (1 + pulse);
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = ring.color;
+    ellipse(-Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, progress));
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * `t` va de 0 a 1 a lo largo del efecto.
+   */
+  #drawEffect(roi, effect, t) {
+    const ctx = this.#ctx;
+    const cx = roi.left + roi.width / 2;
+    const cy = roi.top + roi.height / 2;
+    ctx.save();
+    ctx.strokeStyle = effect.color;
+    if (effect.name === 'success') {
+      // El óvalo completo se agranda y se desvanece.
+      const scale = 1 + t * 0.15;
+      ctx.globalAlpha = 1 - t;
+      ctx.lineWidth = this.theme.ringWidth * (1 + t * 2);
+      ctx.beginPath();
+      ctx.ellipse(cx, cy, roi.width / 2 * scale, roi.height / 2 * scale, 0, 0, Math.PI * 2);
+    } else {
+      // Temblor horizontal que se amortigua y parpadeo.
+      const shake = Math.sin(t * Math.PI * 8) * (1 - t) * 12;
+      ctx.globalAlpha = Math.abs(Math.cos(t * Math.PI * 3));
+      ctx.lineWidth = this.theme.ringWidth * 1.5;
+      ctx.beginPath();
+      ctx.ellipse(cx + shake, cy, roi.width / 2, roi.height / 2, 0, 0, Math.PI * 2);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  #drawBox(box) {
+    const ctx = this.#ctx;
+    ctx.fillStyle = this.theme.boxFill;
+    ctx.fillRect(box.left, box.top, box.width, box.height);
+    ctx.lineWidth = this.theme.boxLineWidth;
+    ctx.strokeStyle = box.color;
+    ctx.strokeRect(box.left, box.top, box.width, box.height);
+  }
+
+  #drawKeypoint({ x, y }) {
+    const ctx = this.#ctx;
+    ctx.beginPath();
+    ctx.arc(x, y, this.keypointSize / 2, 0, Math.PI * 2);
+    ctx.fillStyle = this.theme.keypointColor;
+    ctx.fill();
+  }
+
+  /**
+   * Mensaje de estado en una "píldora" del color del estado. Sobre la caja del
+   * rostro si la hay, si no centrado en el ROI. El texto se parte en líneas para
+   * no salirse de la pantalla.
+   */
+  #drawStatus(status, roi, canvasWidth) {
+    const ctx = this.#ctx;
+    const { theme } = this;
+    ctx.font = `${theme.fontWeight} ${this.fontSize} ${theme.fontFamily}`;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+
+    const padding = theme.statusPadding;
+    const metrics = ctx.measureText('M');
+    const lineHeight = (metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent) || metrics.width * 1.4;
+    const lines = wrapText(ctx, status.text, canvasWidth * 0.9 - padding * 2);
+    const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+    const pillWidth = textWidth + padding * 2;
+    const pillHeight = lines.length * lineHeight + padding * 2;
+
+    const centerX = status.box ? status.box.left + status.box.width / 2 : roi.left + roi.width / 2;
+    const left = Math.min(Math.max(0, centerX - pillWidth / 2), canvasWidth - pillWidth);
+    const top = status.box
+      ? Math.max(0, status.box.top - pillHeight - padding)
+      : roi.top + roi.height / 2 - pillHeight / 2;
+
+    ctx.beginPath();
+    ctx.roundRect(left, top, pillWidth, pillHeight, theme.statusRadius);
+    ctx.fillStyle = status.color;
+    ctx.fill();
+
+    ctx.fillStyle = theme.statusTextColor;
+    lines.forEach((line, i) => ctx.fillText(line, left + padding, top + padding + lineHeight * (i + 0.5)));
+  }
+}
+
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
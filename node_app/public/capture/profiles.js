@@ -0,0 +1,24 @@
+// Perfiles de configuración servidos por GET /api/capture-profiles/:name.
+
+import { createTranslator, resolveLocale } from "./i18n.js";
+
+/**
+ * Nombre del perfil pedido en la URL de la página (?profile=mobile), o null.
+ */
+export function getProfileNameFromUrl(search = window.location.search) {
+  return new URLSearchParams(search).get('profile');
+}
+
+/**
+ * Descarga un perfil y devuelve su `config`, lista para pasar como opciones a FaceCapture.
+ * Falla con un error explícito si el perfil no existe. `t` traduce el mensaje de consola.
+ */
+export async function loadCaptureProfile(name, { baseUrl = '/api/capture-profiles', t = createTranslator(resolveLocale()) } = {}) {
+  const res = await fetch(`${baseUrl}/${encodeURIComponent(name)}`);
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(`No se pudo cargar el perfil "${name}": ${body.message || res.status}`);
+  }
+  console.log(t('log.profileLoaded', { name: body.name }));
+  return body.config;
+}
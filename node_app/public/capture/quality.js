@@ -0,0 +1,89 @@
+// Control de calidad de imagen sobre el recorte del rostro: nitidez, exposición,
+// contraste y tamaño del rostro. Bloquea la validación hasta cumplir los umbrales.
+
+import { readFaceCrop, laplacian } from "./faceCrop.js";
+
+/**
+ * Calcula las métricas de calidad del frame actual.
+ * Luminancias en escala 0-255; `clippedDark`/`clippedBright` y `faceRatio` en [0, 1].
+ */
+export function measureQuality(video, detection, cfg) {
+  const faceRatio = detection.boundingBox.width / video.videoWidth;
+  const crop = readFaceCrop(video, detection.boundingBox, { size: cfg.cropSize });
+  if (!crop) return null;
+
+  const { gray } = crop;
+  let sum = 0;
+  let dark = 0;
+  let bright = 0;
+  for (let i = 0; i < gray.length; i++) {
+    sum += gray[i];
+    if (gray[i] <= cfg.clipLow) dark++;
+    else if (gray[i] >= cfg.clipHigh) bright++;
+  }
+  const meanLuminance = sum / gray.length;
+
+  let variance = 0;
+  for (let i = 0; i < gray.length; i++) variance += (gray[i] - meanLuminance) ** 2;
+  const contrast = Math.sqrt(variance / gray.length);
+
+  const lap = laplacian(crop);
+  let lapSum = 0;
+  let lapSq = 0;
+  for (let i = 0; i < lap.length; i++) {
+    lapSum += lap[i];
+    lapSq += lap[i] * lap[i];
+  }
+  const sharpness = lapSq / lap.length - (lapSum / lap.length) ** 2;
+
+  const round = (v, d = 3) => Math.round(v * 10 ** d) / 10 ** d;
+  return {
+    sharpness: round(sharpness, 1),
+    meanLuminance: round(meanLuminance, 1),
+    clippedDark: round(dark / gray.length),
+    clippedBright: round(bright / gray.length),
+    contrast: round(contrast, 1),
+    faceRatio: round(faceRatio)
+  };
+}
+
+/**
+ * Primer umbral incumplido, en orden de prioridad, o null si la imagen es aceptable.
+ * Los nombres coinciden con claves de STATUS en mediapipe.js.
+ */
+export function findQualityFailure(metrics, cfg) {
+  if (metrics.faceRatio < cfg.minFaceRatio) return 'FACE_TOO_SMALL';
+  if (metrics.faceRatio > cfg.maxFaceRatio) return 'FACE_TOO_LARGE';
+  if (metrics.meanLuminance < cfg.minLuminance || metrics.clippedDark > cfg.maxClipped) return 'TOO_DARK';
+  if (metrics.meanLuminance > cfg.maxLuminance || metrics.clippedBright > cfg.maxClipped) return 'TOO_BRIGHT';
+  if (metrics.contrast < cfg.minContrast) return 'LOW_CONTRAST';
+  if (metrics.sharpness < cfg.minSharpness) return 'BLURRY';
+  return null;
+}
+
+/**
+ * Evalúa la calidad cada `cfg.sampleEvery` frames y reutiliza el último resultado
+ * entre muestras para no leer píxeles en todos los frames.
+ */
+export class QualityGate {
+  constructor(cfg) {
+    this.cfg = cfg;
+    this.reset();
+  }
+
+  reset() {
+    this.frames = 0;
+    this.last = null;
+  }
+
+  assess(video, detection) {
+    const due = this.frames++ % this.cfg.sampleEvery === 0;
+    if (due || this.last === null) {
+      const metrics = measureQuality(video, detection, this.cfg);
+      this.last = metrics
+        ? { metrics, failure: findQualityFailure(metrics, this.cfg) }
+        : { metrics: null, failure: 'NO_FACE' };
+    }
+    return this.last;
+  }
+}
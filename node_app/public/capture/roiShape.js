@@ -0,0 +1,109 @@
+// Formas del ROI: rectángulo, elipse inscrita o polígono. `x`, `y`, `width` y
+// `height` son siempre el rectángulo que contiene la forma (lo usan las
+// indicaciones de posición, el anillo de progreso y los metadatos); los vértices
+// del polígono van en fracciones de ese rectángulo.
+// Las funciones reciben el ROI en píxeles de pantalla ({ left, top, width, height })
+// junto con la configuración de la forma ({ shape, points }).
+
+export const ROI_SHAPES = ['rect', 'ellipse', 'polygon'];
+
+// Resolución de la grilla con que se estima el área del rostro dentro de la forma.
+const OVERLAP_GRID = 20;
+
+/**
+ * Agrega el contorno de la forma al trazado actual del contexto 2D.
+ */
+export function traceROI(ctx, roi, { shape = 'rect', points } = {}) {
+  if (shape === 'ellipse') {
+    const rx = roi.width / 2;
+    const ry = roi.height / 2;
+    ctx.moveTo(roi.left + roi.width, roi.top + ry);
+    ctx.ellipse(roi.left + rx, roi.top + ry, rx, ry, 0, 0, Math.PI * 2);
+  } else if (shape === 'polygon') {
+    points.forEach((p, i) => {
+      const x = roi.left + p.x * roi.width;
+      const y = roi.top + p.y * roi.height;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+  } else {
+    ctx.rect(roi.left, roi.top, roi.width, roi.height);
+  }
+}
+
+export function isPointInROI({ x, y }, roi, { shape = 'rect', points } = {}) {
+  const u = (x - roi.left) / roi.width;
+  const v = (y - roi.top) / roi.height;
+  if (shape === 'ellipse') return (u - 0.5) ** 2 + (v - 0.5) ** 2 <= 0.25;
+  if (shape === 'polygon') return isInsidePolygon(u, v, points);
+  return u >= 0 && u <= 1 && v >= 0 && v <= 1;
+}
+
+/**
+ * Área de la forma en píxeles.
+ */
+function shapeArea(roi, { shape = 'rect', points } = {}) {
+  const box = roi.width * roi.height;
+  if (shape === 'ellipse') return Math.PI / 4 * box;
+  if (shape === 'polygon') {
+    // Fórmula del área de Gauss sobre los vértices en fracciones del rectángulo.
+    const sum = points.reduce((acc, a, i) => {
+      const b = points[(i + 1) % points.length];
+      return acc + a.x * b.y - b.x * a.y;
+    }, 0);
+    return Math.abs(sum) / 2 * box;
+  }
+  return box;
+}
+
+/**
+ * Medida (0-1) de cuánto coincide el rostro con el ROI según `method`:
+ *   corners    Fracción de las esquinas de la caja dentro de la forma.
+ *   keypoints  Fracción de los keypoints dentro de la forma (las esquinas si la
+ *              detección no los trae).
+ *   area       Fracción del área de la caja dentro de la forma. Un rostro chico
+ *              en medio de un ROI grande da 1.
+ *   iou        Intersección sobre unión de la caja y la forma: exige además que
+ *              el rostro llene el ROI.
+ * Las áreas se estiman con una grilla sobre la caja del rostro.
+ */
+export function roiCoverage(face, keypoints, roi, shapeCfg, method) {
+  let samples;
+  if (method === 'keypoints' && keypoints?.length) {
+    samples = keypoints;
+  } else if (method === 'area' || method === 'iou') {
+    samples = [];
+    for (let i = 0; i < OVERLAP_GRID; i++) {
+      for (let j = 0; j < OVERLAP_GRID; j++) {
+        samples.push({
+          x: face.left + face.width * (i + 0.5) / OVERLAP_GRID,
+          y: face.top + face.height * (j + 0.5) / OVERLAP_GRID
+        });
+      }
+    }
+  } else {
+    const right = face.left + face.width;
+    const bottom = face.top + face.height;
+    samples = [{ x: face.left, y: face.top }, { x: right, y: face.top }, { x: face.left, y: bottom }, { x: right, y: bottom }];
+  }
+  const inside = samples.filter(point => isPointInROI(point, roi, shapeCfg)).length / samples.length;
+  if (method !== 'iou') return inside;
+
+  const faceArea = face.width * face.height;
+  const intersection = inside * faceArea;
+  return intersection / (faceArea + shapeArea(roi, shapeCfg) - intersection);
+}
+
+/**
+ * Ray casting sobre los vértices en fracciones del rectángulo del ROI.
+ */
+function isInsidePolygon(u, v, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > v) !== (b.y > v) && u < (b.x - a.x) * (v - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
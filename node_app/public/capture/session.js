@@ -0,0 +1,61 @@
+// Límites de una sesión de captura (duración, reinicios de la validación y tiempo
+// sin rostro) y los resultados posibles, que se emiten en el evento `outcome`.
+
+export const OUTCOMES = Object.freeze({
+  CAPTURED: 'CAPTURED',
+  CANCELLED: 'CANCELLED',
+  SESSION_TIMEOUT: 'SESSION_TIMEOUT',   // Se superó session.maxDurationMs
+  MAX_RESTARTS: 'MAX_RESTARTS',         // La validación se vació session.maxRestarts veces
+  IDLE_TIMEOUT: 'IDLE_TIMEOUT'          // Sin rostro durante session.idleTimeoutMs
+});
+
+/**
+ * Un límite en 0 está desactivado. Los tiempos se miden con performance.now().
+ */
+export class SessionLimits {
+  constructor(cfg) {
+    this.cfg = cfg;
+    this.reset();
+  }
+
+  reset() {
+    this.startedAt = null;
+    this.lastFaceAt = null;
+    this.restarts = 0;
+  }
+
+  /**
+   * Al comenzar a detectar. La duración se cuenta desde el primer inicio; el tiempo
+   * sin rostro se reinicia cada vez (p. ej. al reintentar tras un error de cámara).
+   */
+  begin(now) {
+    this.startedAt ??= now;
+    this.lastFaceAt = now;
+  }
+
+  faceSeen(now) {
+    this.lastFaceAt = now;
+  }
+
+  restart() {
+    this.restarts++;
+  }
+
+  /**
+   * Devuelve el OUTCOME del límite alcanzado, o null si la sesión puede seguir.
+   */
+  check(now) {
+    const { maxDurationMs, maxRestarts, idleTimeoutMs } = this.cfg;
+    if (maxDurationMs && now - this.startedAt >= maxDurationMs) return OUTCOMES.SESSION_TIMEOUT;
+    if (maxRestarts && this.restarts >= maxRestarts) return OUTCOMES.MAX_RESTARTS;
+    if (idleTimeoutMs && now - this.lastFaceAt >= idleTimeoutMs) return OUTCOMES.IDLE_TIMEOUT;
+    return null;
+  }
+
+  summary(now) {
+    return {
+      durationMs: this.startedAt === null ? 0 : Math.round(now - this.startedAt),
+      restarts: this.restarts
+    };
+  }
+}
@@ -0,0 +1,127 @@
+// Ventana de validación por tiempo (no por frames) con tolerancia a cortes y caída
+// gradual, y suavizado exponencial de la detección para absorber fallos puntuales.
+
+// Un salto mayor (pestaña en segundo plano, frame trabado) no cuenta como tiempo validado.
+const MAX_STEP_MS = 200;
+
+/**
+ * Acumula tiempo mientras los frames son válidos. Un frame inválido no reinicia:
+ * durante `dropoutToleranceMs` el progreso se congela y después decae a
+ * `decayRate` veces la velocidad con la que se gana.
+ */
+export class ValidationWindow {
+  #lastTime = null;
+  #invalidSince = null;
+
+  constructor(cfg) {
+    this.cfg = cfg;
+    this.reset();
+  }
+
+  reset() {
+    this.elapsedMs = 0;
+    this.frames = 0;
+    this.#lastTime = null;
+    this.#invalidSince = null;
+  }
+
+  get progress() {
+    return Math.min(1, this.elapsedMs / this.cfg.durationMs);
+  }
+
+  get complete() {
+    return this.elapsedMs >= this.cfg.durationMs;
+  }
+
+  /**
+   * Frame válido: suma el tiempo transcurrido desde el frame anterior.
+   */
+  hit(now) {
+    this.elapsedMs += this.#step(now);
+    this.frames++;
+    this.#invalidSince = null;
+  }
+
+  /**
+   * Frames que no deben contar ni como válidos ni como inválidos (p. ej. mientras
+   * cambia el layout): el tiempo hasta el próximo frame no se suma ni se resta.
+   */
+  pause() {
+    this.#lastTime = null;
+    this.#invalidSince = null;
+  }
+
+  /**
+   * Frame inválido o sin rostro. Devuelve true si la ventana quedó vacía.
+   */
+  miss(now) {
+    const step = this.#step(now);
+    this.#invalidSince ??= now;
+    if (now - this.#invalidSince > this.cfg.dropoutToleranceMs) {
+      this.elapsedMs = Math.max(0, this.elapsedMs - step * this.cfg.decayRate);
+      if (this.elapsedMs === 0) this.frames = 0;
+    }
+    return this.elapsedMs === 0;
+  }
+
+  #step(now) {
+    const step = this.#lastTime === null ? 0 : Math.min(now - this.#lastTime, MAX_STEP_MS);
+    this.#lastTime = now;
+    return step;
+  }
+}
+
+const ema = (previous, value, alpha) => previous + alpha * (value - previous);
+
+/**
+ * Suavizado exponencial del score y de la posición (caja y keypoints) del rostro.
+ * Devuelve una copia de la detección; la original queda intacta para los chequeos
+ * que necesitan el movimiento real (anti-spoofing).
+ *
+ * `movement` estima cuánto se mueve el rostro: distancia entre el centro detectado
+ * y el suavizado del frame anterior, en fracciones del ancho del rostro, también
+ * suavizada para que un frame con ruido no la dispare.
+ */
+export class DetectionSmoother {
+  #state = null;
+  movement = 0;
+
+  constructor(cfg) {
+    this.cfg = cfg;
+  }
+
+  reset() {
+    this.#state = null;
+    this.movement = 0;
+  }
+
+  update(detection) {
+    const { scoreSmoothing, boxSmoothing } = this.cfg;
+    const previous = this.#state;
+    const box = detection.boundingBox;
+    const score = detection.categories[0].score;
+
+    const smoothed = previous && {
+      score: ema(previous.score, score, scoreSmoothing),
+      boundingBox: Object.fromEntries(['originX', 'originY', 'width', 'height']
+        .map(key => [key, ema(previous.boundingBox[key], box[key], boxSmoothing)])),
+      keypoints: detection.keypoints.map((kp, i) => previous.keypoints[i]
+        ? { ...kp, x: ema(previous.keypoints[i].x, kp.x, boxSmoothing), y: ema(previous.keypoints[i].y, kp.y, boxSmoothing) }
+        : kp)
+    };
+    if (previous) {
+      const shift = Math.hypot(
+        box.originX + box.width / 2 - (previous.boundingBox.originX + previous.boundingBox.width / 2),
+        box.originY + box.height / 2 - (previous.boundingBox.originY + previous.boundingBox.height / 2));
+      this.movement = ema(this.movement, shift / box.width, boxSmoothing);
+    }
+    this.#state = smoothed ?? { score, boundingBox: { ...box }, keypoints: detection.keypoints };
+
+    return {
+      ...detection,
+      categories: [{ ...detection.categories[0], score: this.#state.score }, ...detection.categories.slice(1)],
+      boundingBox: { ...box, ...this.#state.boundingBox },
+      keypoints: this.#state.keypoints
+    };
+  }
+}
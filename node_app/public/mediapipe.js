@@ -1,16 +1,160 @@
-import { FaceDetector, FilesetResolver } from "./tasks-vision@0.10.0.js";
+import { createFaceDetector } from "./capture/detectorBackend.js";
+import { LivenessSession } from "./capture/liveness.js";
+import { SpoofDetector } from "./capture/antispoof.js";
+import { QualityGate } from "./capture/quality.js";
+import { listCameras, openCamera, getPreferredDeviceId, setPreferredDeviceId } from "./capture/camera.js";
+import { CaptureError, ERROR_CODES, ERROR_RETRYABLE, classifyCameraError, reportError } from "./capture/errors.js";
+import { resolveLocale, createTranslator } from "./capture/i18n.js";
+import { AccessibilityGuide } from "./capture/accessibility.js";
+import { PositionGuide } from "./capture/guidance.js";
+import { estimateHeadPose, isPoseFrontal } from "./capture/headPose.js";
+import { ValidationWindow, DetectionSmoother } from "./capture/validation.js";
+import { SessionLimits, OUTCOMES } from "./capture/session.js";
+import { renderOutputs } from "./capture/output.js";
+import { CoordinateSpace } from "./capture/coordinates.js";
+import { OverlayRenderer, DEFAULT_THEME } from "./capture/overlayRenderer.js";
+import { ROI_SHAPES, roiCoverage } from "./capture/roiShape.js";
+
+// Widget de captura facial con MediaPipe. Uso:
+//   const capture = new FaceCapture(container, { minScore: 0.95 });
+//   capture.addEventListener('captured', (e) => console.log(e.detail.uploadId));
+//   capture.start();
+// Eventos: statuschange, progress, captured, error (detail.error es un CaptureError con `code`).
 
 // --- 1. CONFIGURACIÓN Y CONSTANTES ---
-const CONFIG = {
+export const DEFAULT_CONFIG = {
+  // Rutas resueltas respecto a este módulo, para que funcione embebido en otras páginas.
+  wasmPath: new URL("./task_vision", import.meta.url).href,
+  modelAssetPath: new URL("./blaze_face_short_range.tflite", import.meta.url).href,
   minScore: 0.90,
-  requiredConsecutiveFrames: 120,
-  frontalThreshold: 0.7,
+  validation: {
+    durationMs: 4000,        // Tiempo de rostro válido necesario para capturar
+    dropoutToleranceMs: 300, // Frames inválidos durante este tiempo congelan el progreso sin perderlo
+    decayRate: 2,            // Luego el progreso cae a este múltiplo de la velocidad con que se gana
+    scoreSmoothing: 0.3,     // Factor del suavizado exponencial del score (1 = sin suavizar)
+    boxSmoothing: 0.5,       // Ídem para la caja y los keypoints
+    maxMovement: 0.05        // Movimiento (fracción del ancho del rostro) sobre el cual se pide no moverse
+  },
   detectionFontSize: '46px',
   successFontSize: '84px',
+  locale: null,              // 'es' | 'en'; null = ?lang= de la URL o idioma del navegador
   showScore: false,
+  debug: false,              // Panel con backend del detector, pose de la cabeza y otros datos internos
   showKeypoints: true,
   keypointSize: 20,
+  multipleFacesPolicy: 'reject', // 'reject' | 'largest' | 'centered'
+  uploadUrl: '/api/captures',
+  errorReportUrl: '/api/capture-errors', // null para no reportar errores al servidor
+  downloadCapture: false,
+  theme: DEFAULT_THEME,      // Colores y fuentes de la superposición (ver capture/overlayRenderer.js)
+  statusColors: {},          // Paleta: reemplaza el color de STATUS por clave, p. ej. { VALIDATING: '#00AEEF' }
+  review: true,              // Muestra la foto para aceptarla o repetirla antes de enviarla
+  output: {
+    variants: ['full'],      // 'full' | 'face' | 'portrait'; la primera es la que se envía al servidor
+    mirror: true,            // false guarda la imagen real (sin espejo), p. ej. para compararla con un documento
+    format: 'jpeg',          // 'png' | 'jpeg' | 'webp'. Un PNG a resolución nativa puede superar el límite del servidor
+    quality: 0.92,           // Calidad de JPEG y WebP (0-1)
+    faceMargin: 0.4,         // Margen del recorte 'face', como fracción del tamaño del rostro
+    portrait: {              // Retrato 'portrait' (proporción 35x45 mm, como la foto de pasaporte)
+      width: 413,
+      height: 531,
+      eyeDistance: 0.25,     // Distancia entre ojos / ancho
+      eyeLine: 0.45,         // Altura de los ojos / alto, desde arriba
+      background: '#FFFFFF'  // Relleno de lo que queda fuera del cuadro
+    }
+  },
+  detector: {
+    delegates: ['GPU', 'CPU'], // Orden de intento; si GPU falla se usa CPU
+    allowNoSimd: true        // Último recurso: wasm sin SIMD (task_vision/vision_wasm_nosimd_internal.js)
+  },
+  camera: {
+    facingMode: 'user',      // 'user' (frontal) | 'environment' (trasera) | null
+    idealWidth: 1280,
+    idealHeight: 720,
+    minWidth: 640,
+    minHeight: 480,
+    showPicker: true,        // Selector visible cuando hay más de una cámara
+    rememberDevice: true     // Guarda la cámara elegida en localStorage
+  },
+  liveness: {
+    enabled: true,
+    challenges: ['TURN_LEFT', 'TURN_RIGHT', 'MOVE_CLOSER', 'BLINK'],
+    count: 3,                // Desafíos sorteados por sesión
+    useLandmarks: false,     // BLINK solo si la detección trae 68 landmarks (face-api); si no, se reemplaza
+    frontalYaw: 10,          // |yaw| máximo, en grados, para considerar el rostro de frente
+    turnThreshold: 20,       // |yaw| mínimo, en grados, para aceptar un giro
+    closerScale: 1.2,        // Crecimiento mínimo del ancho del rostro
+    blinkThreshold: 0.2,     // Eye Aspect Ratio bajo el cual el ojo está cerrado
+    holdFrames: 5,           // Frames seguidos que debe sostenerse el movimiento
+    maxMissingFrames: 15,    // Frames sin rostro tolerados antes de reiniciar, también tras superarla
+    maxTrackJump: 0.5        // Salto del rostro entre frames (fracción de su ancho) que cuenta como otro rostro
+  },
+  antiSpoofing: {
+    enabled: true,
+    vetoThreshold: 0.5,      // Un chequeo con score menor veta la captura
+    sampleEvery: 5,          // Frecuencia (en frames) de los chequeos que leen píxeles
+    vetoCooldownMs: 2000,    // Tiempo que se muestra el aviso antes de volver a validar
+    cropSize: 96,            // Ancho del recorte del rostro analizado
+    microMotion: { minSamples: 30, minStd: 0.004 },
+    scaleVariation: { minSamples: 30, minCv: 0.004 },
+    texture: { minLaplacianStd: 6, maxPeriodicity: 0.35 }
+  },
+  quality: {
+    enabled: true,
+    sampleEvery: 3,          // Frecuencia (en frames) del análisis de píxeles
+    cropSize: 128,           // Ancho del recorte analizado; la nitidez depende de él
+    minSharpness: 60,        // Varianza del Laplaciano
+    minLuminance: 70,        // Luminancia media (0-255)
+    maxLuminance: 200,
+    clipLow: 10,             // Píxeles <= clipLow cuentan como subexpuestos
+    clipHigh: 245,           // Píxeles >= clipHigh cuentan como sobreexpuestos
+    maxClipped: 0.15,        // Fracción máxima de píxeles recortados
+    minContrast: 25,         // Desviación estándar de la luminancia
+    minFaceRatio: 0.20,      // Ancho del rostro / ancho del frame
+    maxFaceRatio: 0.60
+  },
+  session: {                 // Límites de la sesión; 0 desactiva cada uno
+    maxDurationMs: 120000,   // Duración máxima desde el primer start()
+    maxRestarts: 10,         // Veces que la validación puede vaciarse después de haber avanzado
+    idleTimeoutMs: 30000     // Tiempo máximo sin ningún rostro frente a la cámara
+  },
+  headPose: {                // Ángulos máximos (en grados) para considerar el rostro de frente
+    maxYaw: 15,              // Giro a los lados
+    maxPitch: 15,            // Mirar hacia arriba o abajo
+    maxRoll: 10              // Cabeza inclinada
+  },
+  accessibility: {
+    enabled: false,          // Voz y tonos; la región ARIA con el estado está siempre activa
+    speech: true,            // Lee en voz alta los estados e indicaciones (SpeechSynthesis)
+    tones: true,             // Pitidos durante la validación, más agudos a mayor progreso
+    speechIntervalMs: 2500,  // Tiempo mínimo entre dos frases
+    repeatAfterMs: 6000,     // Tiempo antes de repetir la misma frase
+    toneIntervalMs: 400,
+    toneMinHz: 330,
+    toneMaxHz: 880
+  },
+  guidance: {
+    offsetTolerance: 0.12,   // Desplazamiento del centro (fracción del ROI) antes de indicar moverse
+    minFill: 0.45,           // Alto del rostro / alto del ROI por debajo del cual se pide acercarse
+    maxFill: 1.0,            // Por encima se pide alejarse
+    hysteresis: 0.25,        // Cuánto se relaja el umbral de la indicación vigente para soltarla
+    switchFrames: 6,         // Frames que debe repetirse una indicación nueva para reemplazar a la actual
+    showArrow: true          // Flecha en pantalla hacia donde moverse
+  },
+  containment: {             // Cuándo el rostro está "dentro" del ROI (ver capture/roiShape.js)
+    method: 'corners',       // 'corners' | 'keypoints' | 'area' (de la caja dentro de la forma) | 'iou'
+    minRatio: 1              // Fracción mínima dentro; 1 = contención estricta
+  },
+  layout: {
+    settleMs: 500            // Pausa de la validación tras un cambio de tamaño u orientación
+  },
+  roiByOrientation: {        // ROI propio de cada orientación del contenedor; se mezcla sobre `roi`
+    portrait: null,
+    landscape: null
+  },
   roi: {
+    shape: 'rect',           // 'rect' | 'ellipse' (inscrita en el rectángulo) | 'polygon'
+    points: null,            // Vértices del polígono [{ x, y }] en fracciones del rectángulo
     x: 0.20,
     y: 0.15,
     width: 0.60,
@@ -18,356 +162,1156 @@ const CONFIG = {
   }
 };
 
-const STATUS = {
-    VALIDATING: (progress) => ({ text: `Validando su rostro... ${progress}%`, color: '#FFC300' }),
-    VALIDATED: { text: 'Rostro validado', color: '#009933' },
-    INVALID: { text: 'Enderece su rostro', color: '#CC3300' },
-    NO_FACE: { text: 'Acérquese a la cámara', color: '#CC3300' }
-};
-
-const DOM = {
-  video: document.getElementById("webcam"),
-  liveView: document.getElementById("liveView"),
-  canvas: document.getElementById("snapshotCanvas")
+// Colores de cada estado. Los textos están en los catálogos de capture/locales (status.<CLAVE>).
+export const STATUS = {
+    VALIDATING: { color: '#FFC300' },
+    HOLD_STILL: { color: '#FFC300' },
+    VALIDATED: { color: '#009933' },
+    INVALID: { color: '#CC3300' },
+    NO_FACE: { color: '#CC3300' },
+    LIVENESS_TURN_LEFT: { color: '#0077CC' },
+    LIVENESS_TURN_RIGHT: { color: '#0077CC' },
+    LIVENESS_MOVE_CLOSER: { color: '#0077CC' },
+    LIVENESS_BLINK: { color: '#0077CC' },
+    SPOOF_SUSPECTED: { color: '#CC3300' },
+    TOO_DARK: { color: '#CC3300' },
+    TOO_BRIGHT: { color: '#CC3300' },
+    LOW_CONTRAST: { color: '#CC3300' },
+    BLURRY: { color: '#CC3300' },
+    FACE_TOO_SMALL: { color: '#CC3300' },
+    FACE_TOO_LARGE: { color: '#CC3300' },
+    MULTIPLE_FACES: { color: '#CC3300' },
+    MOVE_LEFT: { color: '#E67E00' },
+    MOVE_RIGHT: { color: '#E67E00' },
+    MOVE_UP: { color: '#E67E00' },
+    MOVE_DOWN: { color: '#E67E00' },
+    MOVE_CLOSER: { color: '#E67E00' },
+    MOVE_BACK: { color: '#E67E00' },
+    REVIEW: { color: '#0077CC' },
+    LAYOUT_CHANGE: { color: '#0077CC' }
 };
 
-let faceDetector;
-let lastVideoTime = -1;
-let detectionChildren = [];
-let consecutiveFramesCounter = 0;
-let appState = 'DETECTING';
-
-// --- 2. INICIALIZACIÓN ---
-async function main() {
-  drawROI(); 
-
-  try {
-    const vision = await FilesetResolver.forVisionTasks("./task_vision");
-    faceDetector = await FaceDetector.createFromOptions(vision, {
-      baseOptions: { modelAssetPath: "blaze_face_short_range.tflite", delegate: "GPU" },
-      runningMode: "VIDEO"
-    });
-    startWebcam();
-  } catch (error) {
-    console.error("Error al inicializar el detector de rostros:", error);
+/**
+ * Mezcla recursivamente las opciones del usuario sobre la configuración por defecto.
+ */
+export function mergeConfig(defaults, overrides = {}) {
+  const result = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isPlainObject && defaults[key] && typeof defaults[key] === 'object'
+      ? mergeConfig(defaults[key], value)
+      : value;
   }
+  return result;
 }
 
-function startWebcam() {
-  if (!navigator.mediaDevices?.getUserMedia) {
-    console.error("getUserMedia no es soportado en este navegador.");
-    return;
-  }
-  navigator.mediaDevices.getUserMedia({ video: true })
-    .then((stream) => {
-      DOM.video.srcObject = stream;
-      DOM.video.addEventListener("loadeddata", predictWebcam);
-    })
-    .catch((err) => { console.error("No se pudo acceder a la webcam:", err); });
+/**
+ * El ROI alimenta todos los cálculos de posición: un valor inválido debe fallar
+ * al crear el widget y no dibujar cajas con NaN.
+ */
+function assertValidROI(roi) {
+  const inRange = ['x', 'y', 'width', 'height'].every(k => Number.isFinite(roi?.[k]) && roi[k] >= 0 && roi[k] <= 1);
+  const shape = roi?.shape ?? 'rect';
+  const validPoints = shape !== 'polygon' || (Array.isArray(roi.points) && roi.points.length >= 3
+    && roi.points.every(p => [p?.x, p?.y].every(v => Number.isFinite(v) && v >= 0 && v <= 1)));
+  if (!inRange || roi.width === 0 || roi.height === 0 || roi.x + roi.width > 1 || roi.y + roi.height > 1
+    || !ROI_SHAPES.includes(shape) || !validPoints) {
+    throw new RangeError(`ROI no válido: ${JSON.stringify(roi)}`);
+  }
 }
 
-// --- 3. BUCLE DE DETECCIÓN ---
-async function predictWebcam() {
-  if (appState === 'SUCCESS') return;
+export class FaceCapture extends EventTarget {
+  #detector = null;
+  #video;
+  #canvas;
+  #rafId = null;
+  #lastVideoTime = -1;
+  #scene = { faces: [], keypoints: [], status: null };
+  #overlay;
+  #roiVisible = true;
+  #validation;
+  #smoother;
+  #lastProgress = 0;
+  #session;
+  #retakes = 0;
+  #pendingCapture = null;
+  #spoofVetoUntil = 0;
+  #statusKey = null;
+  #statusText = '';
+  #positionGuide;
+  #lastPose = null;
+  #coords;
+  #positionArrow = null;
+  #roi;
+  #orientation = null;
+  #layoutSize = null;
+  #layoutPausedUntil = 0;
+  #layoutObserver = null;
+  #outcomeEmitted = false;
+  #startId = 0; // Cambia en cada start(), switchCamera() y stop(): invalida las aperturas pendientes
+  #onOrientationChange = () => this.#pauseForLayout();
+  #accessibility;
+  #liveness;
+  #spoofDetector;
+  #qualityGate;
+  #deviceId = null;
+  #cameraInfo = null;
+  #cameraPicker = null;
+  #backend = null;
+  #debugPanel = null;
+  #debugLines = new Map();
+
+  /**
+   * @param {HTMLElement} container Elemento donde se monta el video y la superposición.
+   * @param {object} options Sobrescribe valores de DEFAULT_CONFIG.
+   */
+  constructor(container, options = {}) {
+    super();
+    this.container = container;
+    this.config = mergeConfig(DEFAULT_CONFIG, options);
+    assertValidROI(this.config.roi);
+    for (const orientation of ['portrait', 'landscape']) assertValidROI(this.#roiFor(orientation));
+    this.state = 'IDLE'; // IDLE | LOADING | DETECTING | REVIEW | SUCCESS | STOPPED | ERROR
+    this.sessionId = crypto.randomUUID();
+    this.locale = resolveLocale({ configured: this.config.locale });
+    this.t = createTranslator(this.locale);
+
+    this.container.classList.add('face-capture');
+    this.container.lang = this.locale;
+    this.#video = document.createElement('video');
+    this.#video.autoplay = true;
+    this.#video.muted = true;
+    this.#video.playsInline = true;
+    this.#canvas = document.createElement('canvas');
+    this.#canvas.style.display = 'none';
+    this.container.append(this.#video, this.#canvas);
+    this.#coords = new CoordinateSpace(this.#video, { mirrored: true }); // mediapipe.css espeja el <video>
 
-  if (DOM.video.currentTime !== lastVideoTime) {
-    lastVideoTime = DOM.video.currentTime;
-    const detections = faceDetector.detectForVideo(DOM.video, performance.now())?.detections || [];
-    handleDetections(detections);
+    this.#liveness = new LivenessSession(this.config.liveness);
+    this.#spoofDetector = new SpoofDetector(this.config.antiSpoofing);
+    this.#qualityGate = new QualityGate(this.config.quality);
+    this.#session = new SessionLimits(this.config.session);
+    this.#validation = new ValidationWindow(this.config.validation);
+    this.#smoother = new DetectionSmoother(this.config.validation);
+    this.#positionGuide = new PositionGuide(this.config.guidance);
+    this.#accessibility = new AccessibilityGuide(this.container, this.config.accessibility, this.locale);
+    this.#overlay = new OverlayRenderer(this.container, {
+      theme: this.config.theme,
+      fontSize: this.config.detectionFontSize,
+      keypointSize: this.config.keypointSize
+    });
+    this.#orientation = this.#currentOrientation();
+    this.#roi = this.#roiFor(this.#orientation);
+    this.#observeLayout();
+    this.#renderOverlay();
+  }
+
+  // --- 2. API PÚBLICA ---
+
+  /**
+   * Carga el detector (solo la primera vez), enciende la cámara y comienza a validar.
+   */
+  async start() {
+    if (!['IDLE', 'STOPPED', 'ERROR'].includes(this.state)) return;
+    this.state = 'LOADING';
+    this.#hideError();
+    // Si stop(), cancel() o reset() llegan mientras se espera, este arranque queda
+    // obsoleto: se libera lo que haya abierto y no se toca el estado.
+    const startId = ++this.#startId;
+    const isCurrent = () => startId === this.#startId;
+
+    if (!this.#detector) {
+      let detector;
+      try {
+        detector = await this.#createDetector();
+      } catch (error) {
+        if (isCurrent()) this.#fail(new CaptureError(ERROR_CODES.MODEL_LOAD_FAILED, { stage: 'init', cause: error }), () => this.start());
+        return;
+      }
+      if (!isCurrent()) {
+        detector.close();
+        return;
+      }
+      this.#detector = detector;
+    }
+
+    try {
+      if (!await this.#startWebcam(isCurrent)) return;
+    } catch (error) {
+      if (isCurrent()) this.#fail(classifyCameraError(error), () => this.start());
+      return;
+    }
+
+    this.state = 'DETECTING';
+    this.#session.begin(performance.now());
+    this.#rafId = requestAnimationFrame(() => this.#predictWebcam());
+  }
+
+  /**
+   * Detiene la detección y apaga la cámara, sin descartar el estado de la sesión.
+   */
+  stop() {
+    const wasDetecting = this.state === 'DETECTING';
+    this.#startId++;
+    if (this.#rafId !== null) cancelAnimationFrame(this.#rafId);
+    this.#rafId = null;
+    this.#stopWebcam();
+    this.#accessibility.stop();
+    if (!['REVIEW', 'SUCCESS'].includes(this.state)) this.state = 'STOPPED';
+    if (wasDetecting) this.#renderOverlay(); // Deja el anillo quieto (sin pulso)
+  }
+
+  /**
+   * En revisión: acepta la foto, la envía y emite `captured`.
+   */
+  async accept() {
+    if (this.state !== 'REVIEW') return;
+    const { images, metadata } = this.#pendingCapture;
+    this.#pendingCapture = null;
+    this.container.querySelector('.capture-review')?.remove();
+    await this.#finalizeCapture(images, metadata);
+  }
+
+  /**
+   * En revisión: descarta la foto y vuelve a validar con la cámara y el detector ya
+   * cargados. El número de repeticiones se guarda en `metadata.retakes`.
+   */
+  retake() {
+    if (this.state !== 'REVIEW') return;
+    const retakes = this.#retakes + 1;
+    // Repetir la foto sigue siendo la misma sesión: se conservan sessionId, duración y reinicios.
+    const restart = this.reset({ keepSession: true }); // Vuelve a llamar a start()
+    this.#retakes = retakes;
+    return restart;
+  }
+
+  /**
+   * Cambia colores y fuentes de la superposición (claves de DEFAULT_THEME).
+   */
+  setTheme(theme) {
+    this.config.theme = { ...this.config.theme, ...theme };
+    this.#overlay.setTheme(theme);
+  }
+
+  /**
+   * Abandona la sesión: apaga la cámara y emite `outcome` con CANCELLED. En
+   * revisión descarta la foto pendiente, así que accept() y retake() ya no tienen efecto.
+   */
+  cancel() {
+    if (this.state === 'SUCCESS') return;
+    if (this.state === 'REVIEW') {
+      this.#pendingCapture = null;
+      this.container.querySelectorAll('.capture-result, .capture-review').forEach(el => el.remove());
+      this.state = 'STOPPED';
+    }
+    this.stop();
+    this.#hideError();
+    this.#emitOutcome(OUTCOMES.CANCELLED);
+  }
+
+  /**
+   * Cambia de cámara. Si el widget está validando, reabre la transmisión y
+   * reinicia la ventana de validación con la nueva cámara.
+   */
+  async switchCamera(deviceId) {
+    this.#deviceId = deviceId;
+    if (this.config.camera.rememberDevice) setPreferredDeviceId(deviceId);
+    if (this.state !== 'DETECTING') return;
+
+    const startId = ++this.#startId;
+    this.#stopWebcam();
+    this.#resetValidation();
+    try {
+      await this.#startWebcam(() => startId === this.#startId);
+    } catch (error) {
+      if (startId === this.#startId) this.#fail(classifyCameraError(error), () => this.start());
+    }
+  }
+
+  /**
+   * Descarta la sesión actual (progreso, prueba de vida, imagen capturada) y vuelve
+   * a empezar si el widget estaba en marcha o ya había capturado. Durante LOADING
+   * solo cancela el arranque pendiente. La sesión nueva tiene otro `sessionId`,
+   * salvo con `keepSession` (uso interno de retake()), que conserva también los
+   * límites acumulados de la sesión.
+   */
+  reset({ keepSession = false } = {}) {
+    const wasActive = !['IDLE', 'LOADING', 'STOPPED', 'ERROR'].includes(this.state);
+    this.stop();
+    this.state = 'IDLE';
+
+    this.#hideError();
+    this.#clearDetections();
+    this.container.querySelectorAll('.capture-result, .capture-success, .capture-review').forEach(el => el.remove());
+    this.#video.style.display = '';
+    this.#roiVisible = true;
+    this.#renderOverlay();
+    this.#showPositionHint(null);
+
+    this.#resetValidation();
+    this.#liveness.reset();
+    this.#qualityGate.reset();
+    this.#spoofVetoUntil = 0;
+    this.#statusKey = null;
+    if (!keepSession) {
+      this.#session.reset();
+      this.sessionId = crypto.randomUUID();
+      this.#outcomeEmitted = false;
+    }
+    this.#retakes = 0;
+    this.#pendingCapture = null;
+
+    if (wasActive) return this.start();
+  }
+
+  /**
+   * Apaga la cámara, libera el detector y deja de observar el contenedor. Para
+   * descartar el widget (p. ej. al reconfigurarlo); después no debe volver a usarse.
+   */
+  destroy() {
+    this.stop();
+    this.#detector?.close();
+    this.#detector = null;
+    this.#layoutObserver?.disconnect();
+    screen.orientation?.removeEventListener('change', this.#onOrientationChange);
+    this.#overlay.clear();
+  }
+
+  /**
+   * ROI vigente según la orientación del contenedor (config.roiByOrientation).
+   */
+  get roi() {
+    return this.#roi;
   }
-  
-  requestAnimationFrame(predictWebcam);
-}
 
-// --- 4. LÓGICA DE DETECCIÓN Y UI ---
-function handleDetections(detections) {
-  clearDetections();
+  // --- 3. INICIALIZACIÓN ---
 
-  if (detections.length === 0 || !isFaceInROI(detections[0])) {
-    consecutiveFramesCounter = 0;
-    updateUIMessage(STATUS.NO_FACE);
-    return;
+  /**
+   * Backend con el que se inicializó el detector: { delegate, simd, attempts }.
+   */
+  get backend() {
+    return this.#backend;
   }
 
-  const detection = detections[0];
-  const score = detection.categories[0].score;
-  const isFrontal = isFacingForward(detection.keypoints);
-  let currentStatus;
+  async #createDetector(config = this.config) {
+    const { detector, backend } = await createFaceDetector(config, this.t);
+    this.#backend = backend;
+    this.#setDebugLine('backend', this.t(backend.simd ? 'debug.backend' : 'debug.backendNoSimd', { delegate: backend.delegate }));
+    return detector;
+  }
 
-  if (score > CONFIG.minScore && isFrontal) {
-    consecutiveFramesCounter++;
-    if (consecutiveFramesCounter >= CONFIG.requiredConsecutiveFrames) {
-      captureAndFinalize();
+  /**
+   * El delegado GPU puede fallar recién al procesar frames (contexto WebGL perdido,
+   * GPU en lista negra). En ese caso se recrea el detector solo con CPU y se continúa.
+   */
+  async #fallBackToCpu(cause) {
+    console.warn(this.t('log.gpuFallback'), cause);
+    this.state = 'LOADING';
+    this.#detector?.close();
+    this.#detector = null;
+    try {
+      const cpuConfig = { ...this.config, detector: { ...this.config.detector, delegates: ['CPU'] } };
+      this.#detector = await this.#createDetector(cpuConfig);
+      this.#backend.attempts.unshift({ delegate: 'GPU', simd: this.#backend.simd, error: cause?.message ?? String(cause) });
+    } catch (error) {
+      this.#fail(new CaptureError(ERROR_CODES.MODEL_LOAD_FAILED, { stage: 'init', cause: error }), () => this.start());
       return;
     }
-    const progress = Math.round((consecutiveFramesCounter / CONFIG.requiredConsecutiveFrames) * 100);
-    currentStatus = STATUS.VALIDATING(progress);
-  } else {
-    consecutiveFramesCounter = 0;
-    currentStatus = STATUS.INVALID;
+    if (this.state !== 'LOADING') return; // stop() durante la recarga
+    this.state = 'DETECTING';
+    this.#rafId = requestAnimationFrame(() => this.#predictWebcam());
   }
 
-  if (CONFIG.showScore) {
-    if (currentStatus.text.includes('Score:')) {
-        currentStatus.text = currentStatus.text.split(' (Score:')[0];
+  /**
+   * Abre la cámara y la conecta al video. Devuelve false si `isCurrent()` indica
+   * que la apertura quedó obsoleta mientras se esperaba; en ese caso la
+   * transmisión recién abierta ya está cerrada.
+   */
+  async #startWebcam(isCurrent) {
+    const cameraConfig = this.config.camera;
+    const deviceId = this.#deviceId ?? (cameraConfig.rememberDevice ? getPreferredDeviceId() : null);
+    const { stream, settings } = await openCamera(cameraConfig, deviceId, this.t);
+    if (!isCurrent()) {
+      stream.getTracks().forEach(track => track.stop());
+      return false;
+    }
+
+    this.#video.srcObject = stream;
+    if (this.#video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+      await new Promise(resolve => this.#video.addEventListener("loadeddata", resolve, { once: true }));
     }
-    currentStatus.text += ` (Score: ${Math.round(score * 100)}%)`;
+    if (!isCurrent()) return false; // stop() ya cerró esta transmisión
+
+    const track = stream.getVideoTracks()[0];
+    this.#cameraInfo = {
+      deviceId: settings.deviceId ?? null,
+      label: track?.label ?? '',
+      facingMode: settings.facingMode ?? null,
+      width: this.#video.videoWidth,
+      height: this.#video.videoHeight
+    };
+    console.log(this.t('log.cameraOpened'), this.#cameraInfo);
+    if (cameraConfig.showPicker) await this.#renderCameraPicker();
+    return isCurrent();
   }
-  
-  updateDetectionUI(detection, currentStatus);
-}
 
-function updateDetectionUI(det, status) {
-    const scale = DOM.video.clientHeight / DOM.video.videoHeight;
-    const offsetX = (DOM.video.clientWidth - DOM.video.videoWidth * scale) / 2;
-    
-    const scaledWidth = det.boundingBox.width * scale;
-    const scaledHeight = det.boundingBox.height * scale;
-    const scaledOriginX = det.boundingBox.originX * scale;
-    const scaledOriginY = det.boundingBox.originY * scale;
-
-    const box = document.createElement("div");
-    box.className = "highlighter";
-    box.style.cssText = `
-      left:${DOM.video.clientWidth - scaledOriginX - scaledWidth - offsetX}px; 
-      top:${scaledOriginY}px; 
-      width:${scaledWidth}px; 
-      height:${scaledHeight}px;
-      border-color: ${status.color};
-      border-width: 3px;
-    `;
-    DOM.liveView.appendChild(box);
-    detectionChildren.push(box);
+  /**
+   * Selector de cámara sobre el video. Se oculta si solo hay una.
+   */
+  async #renderCameraPicker() {
+    const cameras = await listCameras();
+    if (!this.#cameraPicker) {
+      this.#cameraPicker = document.createElement('select');
+      this.#cameraPicker.className = 'camera-picker';
+      this.#cameraPicker.addEventListener('change', (e) => this.switchCamera(e.target.value));
+      this.container.appendChild(this.#cameraPicker);
+    }
 
-    const p = document.createElement("p");
-    p.className = 'detection-status';
-    p.innerText = status.text;
-    p.style.backgroundColor = status.color;
-    p.style.left = `${DOM.video.clientWidth - scaledOriginX - scaledWidth - offsetX}px`;
-    p.style.top = `${scaledOriginY - 60}px`;
-    p.style.width = `${scaledWidth}px`;
-    p.style.textAlign = 'center';
-    p.style.fontSize = CONFIG.detectionFontSize;
-    DOM.liveView.appendChild(p);
-    detectionChildren.push(p);
-
-    if (CONFIG.showKeypoints) {
-      for (const k of det.keypoints) {
-          const kp = document.createElement("span");
-          kp.className = "key-point";
-          const keypointX = DOM.video.clientWidth - (k.x * DOM.video.videoWidth * scale) - offsetX;
-          const keypointY = (k.y * DOM.video.videoHeight * scale);
-          
-          kp.style.cssText = `
-            width: ${CONFIG.keypointSize}px; height: ${CONFIG.keypointSize}px;
-            left: ${keypointX - (CONFIG.keypointSize / 2)}px;
-            top: ${keypointY - (CONFIG.keypointSize / 2)}px;
-          `;
-          DOM.liveView.appendChild(kp);
-          detectionChildren.push(kp);
+    this.#cameraPicker.replaceChildren(...cameras.map((camera, i) => {
+      const option = document.createElement('option');
+      option.value = camera.deviceId;
+      option.textContent = camera.label || this.t('camera.fallbackLabel', { index: i + 1 });
+      return option;
+    }));
+    this.#cameraPicker.value = this.#cameraInfo?.deviceId ?? '';
+    this.#cameraPicker.style.display = cameras.length > 1 ? '' : 'none';
+  }
+
+  /**
+   * Detiene la transmisión de la cámara web.
+   */
+  #stopWebcam() {
+    const stream = this.#video.srcObject;
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+      this.#video.srcObject = null;
+    }
+  }
+
+  // --- 4. ERRORES Y RECUPERACIÓN ---
+
+  /**
+   * Detiene el flujo, muestra la pantalla de recuperación y avisa al host y al servidor.
+   * `retry` es la acción del botón Reintentar.
+   */
+  #fail(error, retry) {
+    console.error(this.t('log.captureError', { code: error.code }), error.cause ?? error);
+    if (this.state !== 'SUCCESS') {
+      this.stop();
+      this.state = 'ERROR';
+    }
+    this.#showError(error, retry);
+    this.#emit('error', { stage: error.stage, code: error.code, error });
+    reportError(this.config.errorReportUrl, error, { sessionId: this.sessionId }, this.t);
+  }
+
+  #showError(error, retry) {
+    const code = error.code in ERROR_RETRYABLE ? error.code : ERROR_CODES.CAMERA_FAILED;
+    this.#showOverlay(error.code, `error.${code}`, ERROR_RETRYABLE[code] && retry ? { retry } : {});
+  }
+
+  /**
+   * Pantalla de recuperación: título y descripción de `${messageKey}.title/.description`
+   * y un botón por cada acción (`retry`, `cancel`) recibida.
+   */
+  #showOverlay(code, messageKey, actions) {
+    this.#hideError();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'capture-error';
+    overlay.setAttribute('role', 'alertdialog');
+    overlay.setAttribute('aria-labelledby', 'capture-error-title');
+    overlay.dataset.code = code;
+
+    const title = document.createElement('h2');
+    title.id = 'capture-error-title';
+    title.textContent = this.t(`${messageKey}.title`);
+    const description = document.createElement('p');
+    description.textContent = this.t(`${messageKey}.description`);
+    overlay.append(title, description);
+
+    for (const [action, handler] of Object.entries(actions)) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `capture-action capture-action--${action}`;
+      button.textContent = this.t(`action.${action}`);
+      button.addEventListener('click', () => {
+        this.#hideError();
+        handler();
+      });
+      overlay.appendChild(button);
+    }
+
+    this.container.appendChild(overlay);
+    overlay.querySelector('button')?.focus();
+  }
+
+  /**
+   * Se alcanzó un límite de la sesión: apaga la cámara y ofrece reintentar o cancelar.
+   */
+  #endSession(outcome) {
+    console.warn(this.t('log.sessionEnded', { outcome }));
+    this.stop();
+    this.#clearDetections();
+    this.#renderOverlay();
+    this.#showPositionHint(null);
+    this.#showOverlay(outcome, `session.${outcome}`, {
+      retry: () => {
+        this.reset();
+        this.start();
+      },
+      cancel: () => this.cancel()
+    });
+    this.#emitOutcome(outcome);
+  }
+
+  /**
+   * Evento `outcome` con el resultado de la sesión, para métricas de embudo. Se
+   * emite una sola vez por sessionId: p. ej. cancelar tras un límite no suma otro.
+   */
+  #emitOutcome(outcome) {
+    if (this.#outcomeEmitted) return;
+    this.#outcomeEmitted = true;
+    this.#emit('outcome', { outcome, sessionId: this.sessionId, ...this.#session.summary(performance.now()) });
+  }
+
+  #hideError() {
+    this.container.querySelector('.capture-error')?.remove();
+  }
+
+  /**
+   * Actualiza una línea del panel de depuración (solo con config.debug).
+   */
+  #setDebugLine(key, text) {
+    if (!this.config.debug) return;
+    if (!this.#debugPanel) {
+      this.#debugPanel = document.createElement('pre');
+      this.#debugPanel.className = 'debug-overlay';
+      this.container.appendChild(this.#debugPanel);
+    }
+    this.#debugLines.set(key, text);
+    this.#debugPanel.textContent = [...this.#debugLines.values()].join('\n');
+  }
+
+  // --- 5. BUCLE DE DETECCIÓN ---
+
+  #predictWebcam() {
+    if (this.state !== 'DETECTING') return;
+
+    const video = this.#video;
+    if (video.currentTime !== this.#lastVideoTime) {
+      this.#lastVideoTime = video.currentTime;
+      let detections;
+      try {
+        detections = this.#detector.detectForVideo(video, performance.now())?.detections || [];
+      } catch (error) {
+        if (this.#backend?.delegate === 'GPU') {
+          this.#fallBackToCpu(error);
+          return;
+        }
+        this.#detector?.close();
+        this.#detector = null; // Se vuelve a crear al reintentar
+        this.#fail(new CaptureError(ERROR_CODES.DETECTION_FAILED, { stage: 'detection', cause: error }), () => {
+          this.reset();
+          this.start();
+        });
+        return;
+      }
+      if (performance.now() < this.#layoutPausedUntil) {
+        // Cambio de tamaño u orientación en curso: el progreso ni sube ni decae.
+        this.#validation.pause();
+        this.#clearDetections();
+        this.#updateUIMessage(this.#status('LAYOUT_CHANGE'));
+      } else {
+        const face = this.#selectFace(detections);
+        if (this.config.antiSpoofing.enabled && this.#validation.progress > 0 && face) {
+          this.#spoofDetector.update(face, video);
+        }
+        this.#handleDetections(detections, face);
       }
+      if (this.state === 'DETECTING') {
+        this.#renderOverlay();
+        this.#updateAccessibility();
+      }
+
+      const now = performance.now();
+      if (detections.length > 0) this.#session.faceSeen(now);
+      const limit = this.state === 'DETECTING' && this.#session.check(now);
+      if (limit) this.#endSession(limit);
     }
-}
 
-// --- 5. FUNCIONES AUXILIARES Y FINALIZACIÓN ---
+    if (this.state === 'DETECTING') {
+      this.#rafId = requestAnimationFrame(() => this.#predictWebcam());
+    }
+  }
 
-function drawROI() {
-  const roiBox = document.createElement("div");
-  roiBox.className = "roi-box";
-  roiBox.style.left = `${CONFIG.roi.x * 100}%`;
-  roiBox.style.top = `${CONFIG.roi.y * 100}%`;
-  roiBox.style.width = `${CONFIG.roi.width * 100}%`;
-  roiBox.style.height = `${CONFIG.roi.height * 100}%`;
-  DOM.liveView.appendChild(roiBox);
-}
+  // --- 6. LÓGICA DE DETECCIÓN Y UI ---
 
-function isFaceInROI(detection) {
-  if (!detection) return false;
-
-  const scale = DOM.video.clientHeight / DOM.video.videoHeight;
-  const offsetX = (DOM.video.clientWidth - DOM.video.videoWidth * scale) / 2;
-  
-  const scaledWidth = detection.boundingBox.width * scale;
-  const scaledHeight = detection.boundingBox.height * scale;
-  const scaledOriginX = detection.boundingBox.originX * scale;
-  const scaledOriginY = detection.boundingBox.originY * scale;
-
-  const faceBox = {
-      left: DOM.video.clientWidth - scaledOriginX - scaledWidth - offsetX,
-      top: scaledOriginY,
-      right: 0,
-      bottom: scaledOriginY + scaledHeight
-  };
-  faceBox.right = faceBox.left + scaledWidth;
-
-  const roiPx = {
-    left: DOM.video.clientWidth * CONFIG.roi.x,
-    top: DOM.video.clientHeight * CONFIG.roi.y,
-    right: DOM.video.clientWidth * (CONFIG.roi.x + CONFIG.roi.width),
-    bottom: DOM.video.clientHeight * (CONFIG.roi.y + CONFIG.roi.height),
-  };
-
-  const isInside = (
-    faceBox.left >= roiPx.left &&
-    faceBox.right <= roiPx.right &&
-    faceBox.top >= roiPx.top &&
-    faceBox.bottom <= roiPx.bottom
-  );
-
-  return isInside;
-}
+  /**
+   * Elige el rostro a validar según config.multipleFacesPolicy.
+   * Con 'reject' devuelve null si hay más de un rostro.
+   */
+  #selectFace(detections) {
+    if (detections.length <= 1) return detections[0] ?? null;
 
-function updateUIMessage(status) {
-  const existingMessage = DOM.liveView.querySelector('.detection-status');
-  if (existingMessage) {
-      DOM.liveView.removeChild(existingMessage);
-      detectionChildren = detectionChildren.filter(child => child !== existingMessage);
-  }
-
-  const p = document.createElement("p");
-  p.className = 'detection-status';
-  p.innerText = status.text;
-  p.style.backgroundColor = status.color;
-  p.style.fontSize = CONFIG.detectionFontSize;
-  p.style.textAlign = 'center';
-  p.style.position = 'absolute';
-  p.style.left = `${(CONFIG.roi.x + CONFIG.roi.width / 2) * 100}%`;
-  p.style.top = `${(CONFIG.roi.y + CONFIG.roi.height / 2) * 100}%`;
-  p.style.transform = 'translate(-50%, -50%)';
-  p.style.padding = '10px';
-  DOM.liveView.appendChild(p);
-  detectionChildren.push(p);
-}
+    switch (this.config.multipleFacesPolicy) {
+      case 'largest':
+        return detections.reduce((best, det) =>
+          det.boundingBox.width * det.boundingBox.height > best.boundingBox.width * best.boundingBox.height ? det : best);
+      case 'centered': {
+        const roi = this.#getROIPixels();
+        const distance = (det) => {
+          const box = this.#getDisplayBox(det);
+          return Math.hypot(box.left + box.width / 2 - (roi.left + roi.width / 2), box.top + box.height / 2 - (roi.top + roi.height / 2));
+        };
+        return detections.reduce((best, det) => distance(det) < distance(best) ? det : best);
+      }
+      default:
+        return null;
+    }
+  }
+
+  #handleDetections(detections, face) {
+    const config = this.config;
+    const now = performance.now();
+    this.#clearDetections();
+    if (!face) this.#smoother.reset();
+    const detection = face && this.#smoother.update(face);
+
+    // La prueba de vida vale solo para el rostro que la completó, sin cortes.
+    if (config.liveness.enabled && !this.#liveness.track(face)) {
+      console.warn(this.t('log.livenessLost'));
+      this.#resetValidation();
+    }
+
+    if (detections.length > 1) {
+      // Se marcan todos los rostros para que el operador vea por qué se pausa la validación.
+      for (const det of detections) {
+        if (det !== face) this.#drawFaceBox(det, this.#statusColor('MULTIPLE_FACES'));
+      }
+      if (!detection) {
+        this.#decayValidation(now);
+        this.#showPositionHint(null);
+        this.#updateUIMessage(this.#status('MULTIPLE_FACES', { count: detections.length }));
+        return;
+      }
+    }
+
+    if (config.liveness.enabled && !this.#liveness.passed) {
+      this.#handleLiveness(detection);
+      return;
+    }
 
+    if (!detection) {
+      this.#decayValidation(now);
+      this.#showPositionHint(null);
+      this.#updateUIMessage(this.#status('NO_FACE'));
+      return;
+    }
+
+    if (!this.#isFaceInROI(detection)) {
+      this.#decayValidation(now);
+      const hint = this.#positionGuide.update(this.#getDisplayBox(detection), this.#getROIPixels());
+      this.#showPositionHint(hint);
+      this.#updateDetectionUI(detection, this.#status(hint ?? 'NO_FACE'));
+      return;
+    }
+    this.#showPositionHint(null);
+
+    const score = detection.categories[0].score;
+    const pose = this.#estimatePose(detection);
+    const isFrontal = isPoseFrontal(pose, config.headPose);
+    const quality = config.quality.enabled ? this.#qualityGate.assess(this.#video, detection) : null;
+    let currentStatus;
+
+    if (now < this.#spoofVetoUntil) {
+      this.#updateDetectionUI(detection, this.#status('SPOOF_SUSPECTED'));
+      return;
+    }
 
-function clearDetections() {
-  for (let child of detectionChildren) {
-    DOM.liveView.removeChild(child);
+    if (score > config.minScore && isFrontal && !quality?.failure) {
+      this.#validation.hit(now);
+      // Con pocos fps la ventana puede completarse antes de que el anti-spoofing
+      // junte sus muestras: se sigue validando hasta que todos los chequeos opinen.
+      const spoofPending = config.antiSpoofing.enabled && !this.#spoofDetector.ready;
+      if (this.#validation.complete && !spoofPending) {
+        const spoofResult = config.antiSpoofing.enabled ? this.#spoofDetector.evaluate() : null;
+        if (spoofResult?.vetoed) {
+          console.warn(this.t('log.spoofVeto'), spoofResult);
+          this.#resetValidation();
+          this.#session.restart();
+          this.#playEffect('failure', 'SPOOF_SUSPECTED');
+          this.#spoofVetoUntil = now + config.antiSpoofing.vetoCooldownMs;
+          this.#updateDetectionUI(detection, this.#status('SPOOF_SUSPECTED'));
+          return;
+        }
+        this.#captureAndFinalize(face, score, spoofResult, quality?.metrics ?? null);
+        return;
+      }
+      this.#emitProgress();
+      // Con el rostro en movimiento la validación sigue, pero se pide quietud.
+      const statusKey = this.#smoother.movement > config.validation.maxMovement ? 'HOLD_STILL' : 'VALIDATING';
+      currentStatus = this.#status(statusKey, { progress: Math.round(this.#validation.progress * 100) });
+    } else {
+      this.#decayValidation(now);
+      currentStatus = this.#status(isFrontal && quality?.failure ? quality.failure : 'INVALID');
+    }
+
+    if (config.showScore) {
+      currentStatus = { ...currentStatus, text: `${currentStatus.text} (Score: ${Math.round(score * 100)}%)` };
+    }
+
+    this.#updateDetectionUI(detection, currentStatus);
   }
-  detectionChildren = [];
-}
 
-function isFacingForward(keypoints) {
-  const leftEye = keypoints[0];
-  const rightEye = keypoints[1];
-  const noseTip = keypoints[2];
-  
-  const distNoseToLeftEye = Math.abs(noseTip.x - leftEye.x);
-  const distNoseToRightEye = Math.abs(noseTip.x - rightEye.x);
-  
-  if (distNoseToLeftEye === 0 || distNoseToRightEye === 0) return false;
-  
-  const ratio = Math.min(distNoseToLeftEye, distNoseToRightEye) / Math.max(distNoseToLeftEye, distNoseToRightEye);
-  return ratio > CONFIG.frontalThreshold;
-}
+  /**
+   * Arma el estado { text, color } en el idioma activo y emite `statuschange` cuando cambia de clave.
+   */
+  #status(key, params = {}) {
+    const status = { text: this.t(`status.${key}`, params), color: this.#statusColor(key) };
+    this.#statusText = status.text;
+    if (key !== this.#statusKey) {
+      this.#statusKey = key;
+      this.#emit('statuschange', { key, ...status });
+    }
+    return status;
+  }
 
-/**
- * Orquesta el proceso final de captura, visualización y limpieza.
- */
-function captureAndFinalize() {
-    appState = 'SUCCESS';
-    const imageDataUrl = saveFrame(); // Guarda la imagen y obtiene su URL
-    clearDetections();
-    displayFinalImage(imageDataUrl); // Muestra la imagen capturada
-    stopWebcam(); // Apaga la cámara
-    
-    const roiBox = document.querySelector('.roi-box');
-    if (roiBox) roiBox.style.display = 'none'; // Oculta el ROI
-
-    showSuccessMessage();
-}
+  /**
+   * Color del estado según la paleta (config.statusColors), o el de STATUS.
+   */
+  #statusColor(key) {
+    return this.config.statusColors[key] ?? STATUS[key].color;
+  }
 
-/**
- * Muestra la imagen capturada en la pantalla.
- */
-function displayFinalImage(imageDataUrl) {
+  /**
+   * Pasa el estado del frame al modo accesible.
+   */
+  #updateAccessibility() {
+    this.#accessibility.update({
+      key: this.#statusKey,
+      text: this.#statusText,
+      progress: this.#validation.progress
+    });
+  }
+
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Emite `progress` solo cuando el valor cambia (sube al validar, baja al decaer).
+   */
+  #emitProgress() {
+    const { progress, frames, elapsedMs } = this.#validation;
+    if (progress === this.#lastProgress) return;
+    this.#lastProgress = progress;
+    this.#emit('progress', { progress, frames, elapsedMs });
+  }
+
+  /**
+   * Frame sin rostro válido: el progreso decae en lugar de reiniciarse. Si se
+   * vacía, también se descartan lo acumulado por el anti-spoofing y la prueba de vida.
+   */
+  #decayValidation(now) {
+    const hadProgress = this.#validation.progress > 0;
+    if (this.#validation.miss(now)) {
+      this.#spoofDetector.reset();
+      if (hadProgress) {
+        this.#liveness.reset();
+        this.#session.restart();
+        this.#playEffect('failure', 'INVALID');
+      }
+    }
+    this.#emitProgress();
+  }
+
+  /**
+   * Reinicia la ventana de validación junto con lo acumulado por el anti-spoofing.
+   */
+  #resetValidation() {
+    this.#validation.reset();
+    this.#smoother.reset();
+    this.#spoofDetector.reset();
+    this.#emitProgress();
+  }
+
+  /**
+   * Fase de prueba de vida: se ejecuta antes de la validación frontal.
+   */
+  #handleLiveness(detection) {
+    const liveness = this.#liveness;
+    if (!detection) {
+      this.#updateUIMessage(this.#status('NO_FACE'));
+      return;
+    }
+
+    if (liveness.update(detection, this.#estimatePose(detection))) {
+      console.log(liveness.passed
+        ? this.t('log.livenessPassed')
+        : this.t('log.challengeCompleted', { step: liveness.step - 1, total: liveness.total }));
+    }
+    if (liveness.passed) return;
+
+    this.#updateDetectionUI(detection, this.#status(`LIVENESS_${liveness.current}`, { step: liveness.step, total: liveness.total }));
+  }
+
+  /**
+   * Caja del rostro en píxeles de pantalla, con el espejo del video aplicado.
+   */
+  #getDisplayBox(det) {
+    return this.#coords.boxToDisplay(det.boundingBox);
+  }
+
+  #drawFaceBox(det, color) {
+    this.#scene.faces.push({ ...this.#getDisplayBox(det), color });
+  }
+
+  /**
+   * Caja, mensaje sobre el rostro y keypoints. Solo arma la escena: se dibuja una
+   * vez por frame en #renderOverlay().
+   */
+  #updateDetectionUI(det, status) {
+    const box = this.#getDisplayBox(det);
+    this.#scene.faces.push({ ...box, color: status.color });
+    this.#scene.status = { text: status.text, color: status.color, box };
+
+    if (this.config.showKeypoints) {
+      const layout = this.#coords.layout;
+      this.#scene.keypoints = det.keypoints.map(k => this.#coords.normalizedToDisplay(k, layout));
+    }
+  }
+
+  // --- 7. FUNCIONES AUXILIARES Y FINALIZACIÓN ---
+
+  /**
+   * Dibuja la escena del frame (ROI, anillo de progreso, rostros y mensaje) en el canvas.
+   * El anillo toma el color del estado y late mientras se pide no moverse.
+   */
+  #renderOverlay() {
+    this.#overlay.render({
+      roi: this.#roiVisible ? this.#roi : null,
+      ...this.#scene,
+      ring: {
+        progress: this.#validation.progress,
+        color: this.#scene.status?.color,
+        pulse: this.state === 'DETECTING' && this.#statusKey === 'HOLD_STILL'
+      }
+    });
+  }
+
+  /**
+   * Animación de éxito o fallo sobre el óvalo del ROI, con el color del estado dado.
+   */
+  #playEffect(name, statusKey) {
+    this.#overlay.playEffect(name, { roi: this.#roi, color: this.#statusColor(statusKey) });
+  }
+
+  /**
+   * ROI en píxeles de pantalla, con la misma forma que #getDisplayBox.
+   */
+  #getROIPixels() {
+    return this.#coords.roiToDisplay(this.#roi);
+  }
+
+  /**
+   * El rostro está dentro si la fracción que cae en la forma del ROI (esquinas,
+   * keypoints o área, según config.containment.method) llega a minRatio.
+   */
+  #isFaceInROI(detection) {
+    if (!detection) return false;
+
+    const { method, minRatio } = this.config.containment;
+    const layout = this.#coords.layout;
+    const keypoints = method === 'keypoints'
+      ? detection.keypoints.map(k => this.#coords.normalizedToDisplay(k, layout))
+      : null;
+    return roiCoverage(this.#getDisplayBox(detection), keypoints, this.#getROIPixels(), this.#roi, method) >= minRatio;
+  }
+
+  /**
+   * Muestra la flecha de la indicación de posición (o la oculta con null).
+   * El elemento persiste entre frames para que su animación no se reinicie.
+   */
+  #showPositionHint(hint) {
+    if (!hint) this.#positionGuide.reset();
+    if (!this.config.guidance.showArrow) return;
+
+    if (!this.#positionArrow) {
+      this.#positionArrow = document.createElement('div');
+      this.#positionArrow.setAttribute('aria-hidden', 'true'); // El texto del estado ya lo anuncia
+      this.container.appendChild(this.#positionArrow);
+    }
+    const arrow = this.#positionArrow;
+    arrow.hidden = !hint;
+    if (!hint) return;
+
+    const roi = this.#roi;
+    // Sobre el borde del ROI hacia el que hay que moverse; acercarse/alejarse, sobre el mensaje.
+    // La posición se asigna siempre porque el ROI puede cambiar con la orientación.
+    const anchorX = { MOVE_LEFT: 0, MOVE_RIGHT: 1 }[hint] ?? 0.5;
+    const anchorY = { MOVE_UP: 0, MOVE_DOWN: 1, MOVE_LEFT: 0.5, MOVE_RIGHT: 0.5 }[hint] ?? 0.25;
+    arrow.style.left = `${(roi.x + roi.width * anchorX) * 100}%`;
+    arrow.style.top = `${(roi.y + roi.height * anchorY) * 100}%`;
+    const className = `position-arrow position-arrow--${hint.toLowerCase().replace('_', '-')}`;
+    if (arrow.className !== className) arrow.className = className;
+  }
+
+  #currentOrientation() {
+    return this.container.clientHeight > this.container.clientWidth ? 'portrait' : 'landscape';
+  }
+
+  #roiFor(orientation) {
+    const override = this.config.roiByOrientation[orientation];
+    return override ? { ...this.config.roi, ...override } : this.config.roi;
+  }
+
+  /**
+   * Observa el tamaño del contenedor y la orientación de la pantalla. El tamaño de
+   * la superposición y las conversiones de coordenadas ya se recalculan en cada
+   * frame; aquí se cambia el ROI y se pausa la validación hasta que el layout se asiente.
+   */
+  #observeLayout() {
+    if (typeof ResizeObserver !== 'undefined') {
+      this.#layoutObserver = new ResizeObserver(() => this.#onLayoutChange());
+      this.#layoutObserver.observe(this.container);
+    }
+    // En algunos navegadores el giro llega antes que el cambio de tamaño.
+    screen.orientation?.addEventListener('change', this.#onOrientationChange);
+  }
+
+  #onLayoutChange() {
+    const size = `${this.container.clientWidth}x${this.container.clientHeight}`;
+    if (size === this.#layoutSize) return;
+    const isFirst = this.#layoutSize === null; // ResizeObserver avisa apenas empieza a observar
+    this.#layoutSize = size;
+
+    const orientation = this.#currentOrientation();
+    if (orientation !== this.#orientation) {
+      this.#orientation = orientation;
+      this.#roi = this.#roiFor(orientation);
+      this.#setDebugLine('layout', this.t('debug.orientation', { orientation: this.t(`debug.orientation.${orientation}`) }));
+    }
+    if (isFirst) this.#renderOverlay();
+    else this.#pauseForLayout();
+  }
+
+  /**
+   * Congela la validación durante config.layout.settleMs y redibuja con el ROI vigente.
+   */
+  #pauseForLayout() {
+    this.#layoutPausedUntil = performance.now() + this.config.layout.settleMs;
+    this.#showPositionHint(null);
+    if (this.state === 'DETECTING') {
+      this.#clearDetections();
+      this.#updateUIMessage(this.#status('LAYOUT_CHANGE'));
+    }
+    this.#renderOverlay();
+  }
+
+  /**
+   * Mensaje centrado en el ROI, sin caja de rostro.
+   */
+  #updateUIMessage(status) {
+    this.#scene.status = { text: status.text, color: status.color, box: null };
+  }
+
+  #clearDetections() {
+    this.#scene = { faces: [], keypoints: [], status: null };
+  }
+
+  /**
+   * Pose de la cabeza del rostro validado; en modo debug se muestra en el panel.
+   */
+  #estimatePose(detection) {
+    const pose = estimateHeadPose(detection, this.#coords.aspectRatio);
+    this.#lastPose = pose;
+    if (this.config.debug) {
+      const angle = (value) => `${value.toFixed(1)}°`;
+      this.#setDebugLine('pose', pose
+        ? this.t('debug.pose', { yaw: angle(pose.yaw), pitch: angle(pose.pitch), roll: angle(pose.roll) })
+        : this.t('debug.poseUnavailable'));
+    }
+    return pose;
+  }
+
+  /**
+   * Orquesta el proceso final de captura, visualización y limpieza.
+   */
+  async #captureAndFinalize(detection, score, spoofResult, qualityMetrics) {
+    const config = this.config;
+    this.state = config.review ? 'REVIEW' : 'SUCCESS';
+    const images = this.#saveFrame(detection); // Genera las variantes pedidas en config.output
+    const metadata = {
+      sessionId: this.sessionId,
+      score,
+      framesValidated: this.#validation.frames,
+      validatedMs: Math.round(this.#validation.elapsedMs),
+      roi: { ...this.#roi },
+      orientation: this.#orientation,
+      timestamp: new Date().toISOString(),
+      output: { variants: Object.keys(images), format: config.output.format, mirrored: config.output.mirror },
+      retakes: this.#retakes,
+      locale: this.locale,
+      camera: this.#cameraInfo,
+      backend: this.#backend && { delegate: this.#backend.delegate, simd: this.#backend.simd },
+      liveness: config.liveness.enabled ? this.#liveness.summary() : null,
+      antiSpoofing: spoofResult,
+      quality: qualityMetrics,
+      headPose: this.#lastPose && Object.fromEntries(Object.entries(this.#lastPose).map(([axis, value]) => [axis, Math.round(value * 10) / 10]))
+    };
+    this.#status('VALIDATED');
+    this.#emitProgress();
+    this.#clearDetections();
+    this.#displayFinalImage(images); // Muestra la imagen capturada
+    this.stop(); // Apaga la cámara
+
+    this.#roiVisible = false; // Oculta el ROI
+    this.#overlay.clear();
+    this.#playEffect('success', 'VALIDATED');
+    this.#showPositionHint(null);
+    if (this.#cameraPicker) this.#cameraPicker.style.display = 'none';
+
+    if (config.review) {
+      this.#pendingCapture = { images, metadata };
+      this.#showReview();
+      return;
+    }
+    await this.#finalizeCapture(images, metadata);
+  }
+
+  /**
+   * Foto aceptada (o sin paso de revisión): descarga opcional, mensaje de éxito y envío.
+   */
+  async #finalizeCapture(images, metadata) {
+    this.state = 'SUCCESS';
+    if (this.config.downloadCapture) this.#downloadFrame(images, metadata.timestamp);
+    this.#showSuccessMessage();
+    await this.#deliverCapture(images, metadata);
+  }
+
+  /**
+   * Barra de revisión sobre la foto capturada, con los botones Aceptar y Repetir.
+   */
+  #showReview() {
+    const status = this.#status('REVIEW');
+    const review = document.createElement('div');
+    review.className = 'capture-review';
+    review.setAttribute('role', 'group');
+    review.setAttribute('aria-labelledby', 'capture-review-prompt');
+
+    const prompt = document.createElement('p');
+    prompt.id = 'capture-review-prompt';
+    prompt.textContent = status.text;
+    review.appendChild(prompt);
+
+    for (const [action, handler] of [['accept', () => this.accept()], ['retake', () => this.retake()]]) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `capture-action capture-action--${action}`;
+      button.textContent = this.t(`action.${action}`);
+      button.addEventListener('click', handler);
+      review.appendChild(button);
+    }
+
+    this.container.appendChild(review);
+    review.querySelector('button').focus();
+    this.#accessibility.announce(status.text);
+  }
+
+  /**
+   * Sube la variante principal (si hay uploadUrl) y emite `captured` con todas.
+   * Si la subida falla, la pantalla de recuperación permite reintentar solo el envío.
+   */
+  async #deliverCapture(images, metadata) {
+    const image = Object.values(images)[0];
+    let uploadId = null;
+    if (this.config.uploadUrl) {
+      try {
+        uploadId = await this.#uploadCapture(image, metadata);
+      } catch (error) {
+        this.#fail(new CaptureError(ERROR_CODES.UPLOAD_FAILED, { stage: 'upload', cause: error }),
+          () => this.#deliverCapture(images, metadata));
+        return;
+      }
+    }
+    this.#emit('captured', { image, images, metadata, uploadId });
+    this.#emitOutcome(OUTCOMES.CAPTURED);
+  }
+
+  /**
+   * Muestra la imagen capturada en la pantalla: el cuadro completo si se generó
+   * (encuadrado igual que el video) o, si no, la variante principal entera.
+   */
+  #displayFinalImage(images) {
     const img = document.createElement('img');
-    img.src = imageDataUrl;
+    img.className = 'capture-result';
+    img.src = images.full ?? Object.values(images)[0];
     img.style.cssText = `
-        position: absolute;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        object-fit: cover;
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      object-fit: ${images.full ? 'cover' : 'contain'};
+      background: #000;
     `;
-    DOM.liveView.appendChild(img);
-    DOM.video.style.display = 'none'; // Oculta el elemento de video
-}
-
-/**
- * Detiene la transmisión de la cámara web.
- */
-function stopWebcam() {
-    const stream = DOM.video.srcObject;
-    if (stream) {
-        const tracks = stream.getTracks();
-        tracks.forEach(track => track.stop());
-        DOM.video.srcObject = null;
-    }
-}
+    this.container.appendChild(img);
+    this.#video.style.display = 'none'; // Oculta el elemento de video
+  }
 
-function showSuccessMessage() {
+  #showSuccessMessage() {
     const p = document.createElement("p");
-    p.innerText = "¡Captura completada!";
+    p.className = 'capture-success';
+    p.innerText = this.t('capture.success');
     p.style.cssText = `
-        background-color: #009933;
-        color: white;
-        position: absolute;
-        top: 20px;
-        padding: 20px;
-        border-radius: 10px;
-        font-size: ${CONFIG.successFontSize};
-        z-index: 10;
+      background-color: #009933;
+      color: white;
+      position: absolute;
+      top: 20px;
+      padding: 20px;
+      border-radius: 10px;
+      font-size: ${this.config.successFontSize};
+      z-index: 10;
     `;
-    DOM.liveView.appendChild(p);
-    console.log("Captura completada.");
-}
+    this.container.appendChild(p);
+    this.#accessibility.announce(p.innerText);
+    console.log(this.t('log.captureCompleted'));
+  }
 
-/**
- * Guarda el frame y devuelve la URL de la imagen.
- */
-function saveFrame() {
-  const ctx = DOM.canvas.getContext("2d");
-  const video = DOM.video;
-  const canvas = DOM.canvas;
-
-  canvas.width = video.clientWidth;
-  canvas.height = video.clientHeight;
-
-  const videoAspectRatio = video.videoWidth / video.videoHeight;
-  const canvasAspectRatio = canvas.width / canvas.height;
-  let renderableWidth, renderableHeight, xStart, yStart;
-
-  if (videoAspectRatio < canvasAspectRatio) {
-    renderableWidth = canvas.width;
-    renderableHeight = renderableWidth / videoAspectRatio;
-    xStart = 0;
-    yStart = (canvas.height - renderableHeight) / 2;
-  } else if (videoAspectRatio > canvasAspectRatio) {
-    renderableHeight = canvas.height;
-    renderableWidth = renderableHeight * videoAspectRatio;
-    yStart = 0;
-    xStart = (canvas.width - renderableWidth) / 2;
-  } else {
-    renderableHeight = canvas.height;
-    renderableWidth = canvas.width;
-    xStart = 0;
-    yStart = 0;
-  }
-
-  ctx.translate(canvas.width, 0);
-  ctx.scale(-1, 1);
-  ctx.drawImage(video, xStart, yStart, renderableWidth, renderableHeight);
-  
-  const imageDataUrl = canvas.toDataURL("image/png");
-  const link = document.createElement('a');
-  link.download = `captura-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
-  link.href = imageDataUrl;
-  link.click();
-
-  return imageDataUrl; // Devuelve la URL de la imagen
-}
+  /**
+   * Genera las variantes de config.output a partir del frame actual (espejadas como
+   * se ven en pantalla salvo output.mirror: false). Devuelve { variante: dataUrl }.
+   */
+  #saveFrame(detection) {
+    return renderOutputs(this.#canvas, this.#coords, detection, this.config.output);
+  }
+
+  /**
+   * Descarga en el navegador cada variante de la captura.
+   */
+  #downloadFrame(images, timestamp) {
+    const extension = this.config.output.format === 'jpeg' ? 'jpg' : this.config.output.format;
+    for (const [variant, dataUrl] of Object.entries(images)) {
+      const link = document.createElement('a');
+      link.download = `captura-${timestamp.replace(/[:.]/g, '-')}-${variant}.${extension}`;
+      link.href = dataUrl;
+      link.click();
+    }
+  }
 
-// --- INICIAR LA APLICACIÓN ---
-main();
\ No newline at end of file
+  /**
+   * Envía la captura y sus metadatos al servidor. Devuelve el ID asignado.
+   */
+  async #uploadCapture(imageDataUrl, metadata) {
+    const res = await fetch(this.config.uploadUrl, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ image: imageDataUrl, metadata })
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`${res.status}: ${body.message || body.error}`);
+    console.log(this.t('log.uploaded'), body.id);
+    return body.id;
+  }
+}
@@ -0,0 +1,48 @@
+const express = require('express');
+const fs = require('fs/promises');
+const path = require('path');
+
+// --- CONFIGURACIÓN ---
+const LOGS_DIR = process.env.LOGS_DIR || path.join(__dirname, '..', 'logs');
+const LOG_FILE = path.join(LOGS_DIR, 'capture-errors.jsonl');
+
+const CODE_PATTERN = /^[A-Z_]{1,64}$/;
+
+const router = express.Router();
+
+/**
+ * Recibe los errores que reporta FaceCapture (reportError en public/capture/errors.js)
+ * y los agrega, uno por línea, a logs/capture-errors.jsonl.
+ */
+router.post('/', express.json({ limit: '8kb' }), async (req, res, next) => {
+    const { code, stage, message, sessionId, userAgent, timestamp } = req.body || {};
+    if (typeof code !== 'string' || !CODE_PATTERN.test(code)) {
+        return res.status(400).json({ error: 'invalid_code', message: 'code debe ser un código en mayúsculas (p. ej. CAMERA_IN_USE).' });
+    }
+
+    const entry = {
+        receivedAt: new Date().toISOString(),
+        code,
+        stage: truncate(stage, 32),
+        message: truncate(message, 500),
+        sessionId: truncate(sessionId, 64),
+        userAgent: truncate(userAgent ?? req.get('user-agent'), 300),
+        timestamp: truncate(timestamp, 40)
+    };
+
+    try {
+        await fs.mkdir(LOGS_DIR, { recursive: true });
+        await fs.appendFile(LOG_FILE, JSON.stringify(entry) + '\n');
+    } catch (err) {
+        return next(err);
+    }
+
+    console.warn(`Error de captura reportado: ${code} (${entry.stage ?? 'sin etapa'})`);
+    res.status(204).end();
+});
+
+function truncate(value, max) {
+    return typeof value === 'string' ? value.slice(0, max) : null;
+}
+
+module.exports = router;
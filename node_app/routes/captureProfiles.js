@@ -0,0 +1,53 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { validateProfile } = require('../lib/profileSchema');
+
+// --- CONFIGURACIÓN ---
+const PROFILES_DIR = process.env.CAPTURE_PROFILES_DIR || path.join(__dirname, '..', 'profiles');
+const NAME_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Lee y valida todos los perfiles al arrancar. Un perfil inválido detiene el
+ * servidor con la lista de errores, en vez de llegar al navegador y producir un ROI con NaN.
+ */
+function loadProfiles(dir) {
+    const profiles = new Map();
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        const name = path.basename(file, '.json');
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`Nombre de perfil no válido: ${file} (solo minúsculas, números y guiones)`);
+        }
+
+        let profile;
+        try {
+            profile = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (err) {
+            throw new Error(`Perfil ${file}: JSON mal formado (${err.message})`);
+        }
+
+        const errors = validateProfile(profile);
+        if (errors.length > 0) {
+            throw new Error(`Perfil ${file} no válido:\n  - ${errors.join('\n  - ')}`);
+        }
+        profiles.set(name, profile);
+    }
+    return profiles;
+}
+
+const profiles = loadProfiles(PROFILES_DIR);
+const router = express.Router();
+
+router.get('/', (req, res) => {
+    res.json([...profiles].map(([name, profile]) => ({ name, description: profile.description ?? '' })));
+});
+
+router.get('/:name', (req, res) => {
+    const profile = profiles.get(req.params.name);
+    if (!profile) {
+        return res.status(404).json({ error: 'profile_not_found', message: `No existe el perfil ${req.params.name}` });
+    }
+    res.json({ name: req.params.name, description: profile.description ?? '', config: profile.config });
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { sniffImageType } = require('../lib/imageTypes');
+
+// --- CONFIGURACIÓN ---
+const CAPTURES_DIR = process.env.CAPTURES_DIR || path.join(__dirname, '..', 'captures');
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+const DATA_URL_PATTERN = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)$/;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const router = express.Router();
+
+// El cuerpo lleva la imagen en base64 (~4/3 del tamaño binario) más los metadatos.
+router.use(express.json({ limit: Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + 64 * 1024 }));
+
+/**
+ * Recibe una captura validada desde mediapipe.js.
+ * Cuerpo: { image: <data URL>, metadata: { score, framesValidated, roi, timestamp } }
+ * Respuesta: 201 { id }
+ */
+router.post('/', async (req, res, next) => {
+    const { image, metadata } = req.body || {};
+
+    const match = typeof image === 'string' && image.match(DATA_URL_PATTERN);
+    if (!match) {
+        return res.status(400).json({ error: 'invalid_image', message: 'Se esperaba una imagen como data URL en base64.' });
+    }
+
+    const mimeType = match[1];
+    if (!ALLOWED_TYPES.includes(mimeType)) {
+        return res.status(415).json({ error: 'unsupported_media_type', message: `Tipo no permitido: ${mimeType}` });
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length === 0 || buffer.length > MAX_IMAGE_BYTES) {
+        return res.status(413).json({ error: 'image_too_large', message: `La imagen debe pesar entre 1 byte y ${MAX_IMAGE_BYTES} bytes.` });
+    }
+    // No confiamos solo en el MIME declarado: el contenido debe coincidir.
+    const type = sniffImageType(buffer);
+    if (!type || type.mimeType !== mimeType) {
+        return res.status(415).json({ error: 'content_mismatch', message: 'El contenido no corresponde al tipo declarado.' });
+    }
+
+    const metadataError = validateMetadata(metadata);
+    if (metadataError) {
+        return res.status(400).json({ error: 'invalid_metadata', message: metadataError });
+    }
+
+    const id = crypto.randomUUID();
+    const record = {
+        id,
+        file: `${id}.${type.ext}`,
+        mimeType,
+        bytes: buffer.length,
+        receivedAt: new Date().toISOString(),
+        metadata
+    };
+
+    try {
+        await fs.mkdir(CAPTURES_DIR, { recursive: true });
+        await fs.writeFile(path.join(CAPTURES_DIR, record.file), buffer);
+        await fs.writeFile(path.join(CAPTURES_DIR, `${id}.json`), JSON.stringify(record, null, 2));
+    } catch (err) {
+        return next(err);
+    }
+
+    console.log(`Captura guardada: ${record.file} (${record.bytes} bytes)`);
+    res.status(201).json({ id });
+});
+
+/**
+ * Devuelve los metadatos de una captura guardada.
+ */
+router.get('/:id', async (req, res, next) => {
+    if (!ID_PATTERN.test(req.params.id)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    try {
+        const raw = await fs.readFile(path.join(CAPTURES_DIR, `${req.params.id}.json`), 'utf8');
+        res.json(JSON.parse(raw));
+    } catch (err) {
+        if (err.code === 'ENOENT') return res.status(404).json({ error: 'not_found' });
+        next(err);
+    }
+});
+
+function validateMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return 'Faltan los metadatos de la captura.';
+    }
+    const { score, framesValidated, roi, timestamp } = metadata;
+    if (typeof score !== 'number' || score < 0 || score > 1) {
+        return 'score debe ser un número entre 0 y 1.';
+    }
+    if (!Number.isInteger(framesValidated) || framesValidated < 0) {
+        return 'framesValidated debe ser un entero no negativo.';
+    }
+    if (!roi || typeof roi !== 'object' || !['x', 'y', 'width', 'height'].every(k => typeof roi[k] === 'number')) {
+        return 'roi debe tener x, y, width y height numéricos.';
+    }
+    if (typeof timestamp !== 'string' || Number.isNaN(Date.parse(timestamp))) {
+        return 'timestamp debe ser una fecha ISO 8601.';
+    }
+    return null;
+}
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+
+// --- CONFIGURACIÓN ---
+// Orígenes que pueden embeber mediapipe.html en un iframe y hablarle por postMessage.
+// EMBED_ALLOWED_ORIGINS: lista separada por comas, p. ej. "https://portal.socio.com,https://otro.com".
+const ALLOWED_ORIGINS = parseOriginList(process.env.EMBED_ALLOWED_ORIGINS);
+
+/**
+ * Normaliza cada entrada a su origen (esquema + host + puerto). Una entrada mal
+ * escrita detiene el arranque en vez de dejar el iframe bloqueado sin explicación.
+ */
+function parseOriginList(value) {
+    if (!value) return [];
+    return value.split(',').map(o => o.trim()).filter(Boolean).map(entry => {
+        const url = new URL(entry);
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new Error(`EMBED_ALLOWED_ORIGINS: protocolo no permitido en ${entry}`);
+        }
+        return url.origin;
+    });
+}
+
+const router = express.Router();
+
+/**
+ * Configuración que la página embebida usa para validar el origen de los mensajes.
+ */
+router.get('/', (req, res) => {
+    res.json({ allowedOrigins: ALLOWED_ORIGINS });
+});
+
+/**
+ * Restringe quién puede mostrar la página en un iframe (CSP frame-ancestors).
+ */
+function frameAncestors(req, res, next) {
+    res.set('Content-Security-Policy', `frame-ancestors ${["'self'", ...ALLOWED_ORIGINS].join(' ')}`);
+    next();
+}
+
+module.exports = router;
+module.exports.frameAncestors = frameAncestors;
@@ -0,0 +1,150 @@
+const express = require('express');
+const { sniffImageType } = require('../lib/imageTypes');
+
+// --- CONFIGURACIÓN POR DEFECTO ---
+// Se puede sobrescribir con EXTERNAL_IMAGE_ALLOWED_HOSTS (lista separada por comas).
+const DEFAULT_OPTIONS = {
+    allowedHosts: parseHostList(process.env.EXTERNAL_IMAGE_ALLOWED_HOSTS) || [
+        'upload.wikimedia.org',
+        'images.unsplash.com',
+        'i.imgur.com'
+    ],
+    maxBytes: 5 * 1024 * 1024,
+    timeoutMs: 10000,
+    maxRedirects: 3
+};
+
+class ProxyError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Proxy para `requestExternalImage()` de public/js/commons.js.
+ * Cuerpo: { imageUrl }. Responde con los bytes de la imagen o con un error JSON { error, message }.
+ */
+function createExternalImageRouter(options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const router = express.Router();
+
+    router.post('/', express.json({ limit: '16kb' }), async (req, res) => {
+        try {
+            const url = parseAllowedUrl(req.body?.imageUrl, opts.allowedHosts);
+            const { buffer, type } = await fetchImage(url, opts);
+            res.set('content-type', type.mimeType);
+            res.set('cache-control', 'no-store');
+            res.send(buffer);
+        } catch (err) {
+            if (!(err instanceof ProxyError)) {
+                console.error('Error en fetch_external_image:', err);
+                err = new ProxyError(502, 'fetch_failed', 'No se pudo obtener la imagen remota.');
+            }
+            res.status(err.status).json({ error: err.code, message: err.message });
+        }
+    });
+
+    return router;
+}
+
+function parseHostList(value) {
+    if (!value) return null;
+    return value.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Un host está permitido si coincide exactamente o es subdominio de una entrada de la lista.
+ */
+function isHostAllowed(hostname, allowedHosts) {
+    const host = hostname.toLowerCase();
+    return allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+function parseAllowedUrl(rawUrl, allowedHosts) {
+    if (typeof rawUrl !== 'string' || rawUrl.length === 0) {
+        throw new ProxyError(400, 'missing_url', 'Falta imageUrl en el cuerpo de la petición.');
+    }
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch {
+        throw new ProxyError(400, 'invalid_url', `URL no válida: ${rawUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ProxyError(400, 'invalid_url', `Protocolo no permitido: ${url.protocol}`);
+    }
+    if (!isHostAllowed(url.hostname, allowedHosts)) {
+        throw new ProxyError(403, 'host_not_allowed', `El host ${url.hostname} no está en la lista permitida.`);
+    }
+    return url;
+}
+
+/**
+ * Descarga la imagen siguiendo redirecciones a mano para volver a validar cada host.
+ */
+async function fetchImage(url, opts) {
+    const signal = AbortSignal.timeout(opts.timeoutMs);
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+        let upstream;
+        try {
+            upstream = await fetch(current, { redirect: 'manual', signal });
+        } catch (err) {
+            if (err.name === 'TimeoutError') {
+                throw new ProxyError(504, 'timeout', `La imagen no respondió en ${opts.timeoutMs} ms.`);
+            }
+            throw new ProxyError(502, 'fetch_failed', `No se pudo conectar con ${current.hostname}.`);
+        }
+
+        if (upstream.status >= 300 && upstream.status < 400 && upstream.headers.has('location')) {
+            if (redirects >= opts.maxRedirects) {
+                throw new ProxyError(502, 'too_many_redirects', 'Demasiadas redirecciones.');
+            }
+            current = parseAllowedUrl(new URL(upstream.headers.get('location'), current).href, opts.allowedHosts);
+            continue;
+        }
+
+        if (!upstream.ok) {
+            throw new ProxyError(502, 'upstream_error', `El servidor remoto respondió ${upstream.status}.`);
+        }
+
+        const declaredLength = Number(upstream.headers.get('content-length'));
+        if (declaredLength > opts.maxBytes) {
+            await upstream.body?.cancel();
+            throw new ProxyError(413, 'image_too_large', `La imagen supera el máximo de ${opts.maxBytes} bytes.`);
+        }
+
+        const buffer = await readLimited(upstream, opts.maxBytes);
+        const type = sniffImageType(buffer);
+        if (!type) {
+            throw new ProxyError(415, 'not_an_image', 'El contenido remoto no es una imagen reconocida.');
+        }
+        return { buffer, type };
+    }
+}
+
+async function readLimited(response, maxBytes) {
+    const chunks = [];
+    let total = 0;
+    try {
+        for await (const chunk of response.body) {
+            total += chunk.length;
+            if (total > maxBytes) {
+                throw new ProxyError(413, 'image_too_large', `La imagen supera el máximo de ${maxBytes} bytes.`);
+            }
+            chunks.push(chunk);
+        }
+    } catch (err) {
+        if (err instanceof ProxyError) throw err;
+        if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+            throw new ProxyError(504, 'timeout', 'Se agotó el tiempo al descargar la imagen.');
+        }
+        throw new ProxyError(502, 'fetch_failed', 'Se interrumpió la descarga de la imagen.');
+    }
+    return Buffer.concat(chunks);
+}
+
+module.exports = createExternalImageRouter;
@@ -1,12 +1,35 @@
 const express = require('express');
+const capturesRouter = require('./routes/captures');
+const createExternalImageRouter = require('./routes/externalImage');
+const embedRouter = require('./routes/embed');
+const captureProfilesRouter = require('./routes/captureProfiles');
+const captureErrorsRouter = require('./routes/captureErrors');
 const app = express();
-const PORT = 3000;
+const PORT = process.env.PORT || 3000;
 
+app.use('/mediapipe.html', embedRouter.frameAncestors);
 app.use(express.static('public'));
+app.use('/api/captures', capturesRouter);
+app.use('/api/embed-config', embedRouter);
+app.use('/api/capture-profiles', captureProfilesRouter);
+app.use('/api/capture-errors', captureErrorsRouter);
+app.use('/fetch_external_image', createExternalImageRouter());
 app.get('/', (req, res) => {
     res.sendFile(__dirname + '/views/index.html');
 });
 
-app.listen(PORT, () => {
-    console.log(`Servidor corriendo en http://localhost:${PORT}`);
+// Errores de la API siempre en JSON (p. ej. cuerpo demasiado grande o JSON mal formado).
+app.use(['/api', '/fetch_external_image'], (err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error('Error en la API:', err);
+    res.status(status).json({ error: err.type || 'internal_error', message: status >= 500 ? 'Error interno del servidor.' : err.message });
 });
+
+// Solo escucha si se ejecuta directamente, para poder montar la app en pruebas.
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Servidor corriendo en http://localhost:${PORT}`);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,117 @@
+// Pruebas de la API de capturas (routes/captures.js). Las imágenes se guardan en
+// un directorio temporal (CAPTURES_DIR) que se borra al terminar.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const express = require('express');
+
+// El router lee CAPTURES_DIR al cargarse: debe definirse antes del require.
+const capturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'captures-test-'));
+process.env.CAPTURES_DIR = capturesDir;
+const capturesRouter = require('../routes/captures');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(32)]);
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const METADATA = {
+    score: 0.93,
+    framesValidated: 42,
+    roi: { x: 0.2, y: 0.15, width: 0.6, height: 0.7 },
+    timestamp: '2024-05-01T12:00:00.000Z'
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use('/api/captures', capturesRouter);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/captures`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(capturesDir, { recursive: true, force: true });
+});
+
+function dataUrl(mimeType, buffer) {
+    return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+function postCapture(body) {
+    return fetch(baseUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('guarda una captura PNG y responde 201 con su id', async () => {
+    const res = await postCapture({ image: dataUrl('image/png', PNG), metadata: METADATA });
+    assert.equal(res.status, 201);
+    const { id } = await res.json();
+    assert.match(id, /^[0-9a-f-]{36}$/);
+    assert.deepEqual(fs.readFileSync(path.join(capturesDir, `${id}.png`)), PNG);
+
+    const saved = await fetch(`${baseUrl}/${id}`);
+    assert.equal(saved.status, 200);
+    const record = await saved.json();
+    assert.equal(record.mimeType, 'image/png');
+    assert.deepEqual(record.metadata, METADATA);
+});
+
+test('guarda una captura JPEG', async () => {
+    const res = await postCapture({ image: dataUrl('image/jpeg', JPEG), metadata: METADATA });
+    assert.equal(res.status, 201);
+    const { id } = await res.json();
+    assert.ok(fs.existsSync(path.join(capturesDir, `${id}.jpg`)));
+});
+
+test('rechaza una imagen que no es data URL', async () => {
+    const res = await postCapture({ image: 'http://example.com/foto.png', metadata: METADATA });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'invalid_image');
+});
+
+test('rechaza metadatos inválidos', async () => {
+    const res = await postCapture({ image: dataUrl('image/png', PNG), metadata: { ...METADATA, score: 2 } });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'invalid_metadata');
+
+    const missing = await postCapture({ image: dataUrl('image/png', PNG) });
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error, 'invalid_metadata');
+});
+
+test('rechaza imágenes de más de 5 MB', async () => {
+    const large = Buffer.concat([PNG, Buffer.alloc(MAX_IMAGE_BYTES)]);
+    const res = await postCapture({ image: dataUrl('image/png', large), metadata: METADATA });
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).error, 'image_too_large');
+});
+
+test('rechaza tipos que no son imágenes permitidas', async () => {
+    const res = await postCapture({ image: dataUrl('text/plain', Buffer.from('hola')), metadata: METADATA });
+    assert.equal(res.status, 415);
+    assert.equal((await res.json()).error, 'unsupported_media_type');
+});
+
+test('rechaza contenido que no coincide con el tipo declarado', async () => {
+    const res = await postCapture({ image: dataUrl('image/png', JPEG), metadata: METADATA });
+    assert.equal(res.status, 415);
+    assert.equal((await res.json()).error, 'content_mismatch');
+});
+
+test('responde 404 a ids inexistentes o mal formados', async () => {
+    const unknown = await fetch(`${baseUrl}/${crypto.randomUUID()}`);
+    assert.equal(unknown.status, 404);
+    const malformed = await fetch(`${baseUrl}/..%2Fserver.js`);
+    assert.equal(malformed.status, 404);
+});
@@ -0,0 +1,109 @@
+// Pruebas del proxy de imágenes externas contra un servidor HTTP local que hace
+// de origen remoto. Se ejecutan con `npm test` (node:test).
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const express = require('express');
+const createExternalImageRouter = require('../routes/externalImage');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const MAX_BYTES = 1024;
+
+// Origen remoto simulado: cada ruta reproduce un caso que el proxy debe manejar.
+const upstream = http.createServer((req, res) => {
+    switch (req.url) {
+        case '/photo.png':
+            res.writeHead(200, { 'content-type': 'image/png' });
+            return res.end(PNG);
+        case '/page.html':
+            res.writeHead(200, { 'content-type': 'text/html' });
+            return res.end('<html><body>hola</body></html>');
+        case '/redirect-off-list':
+            res.writeHead(302, { location: 'http://example.com/photo.png' });
+            return res.end();
+        case '/large.png':
+            res.writeHead(200, { 'content-type': 'image/png' });
+            return res.end(Buffer.concat([PNG, Buffer.alloc(MAX_BYTES)]));
+        case '/slow.png':
+            return; // No responde nunca: debe cortar el timeout del proxy
+        default:
+            res.writeHead(404);
+            return res.end();
+    }
+});
+
+let proxy;
+let upstreamBase;
+let proxyUrl;
+
+before(async () => {
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamBase = `http://127.0.0.1:${upstream.address().port}`;
+
+    const app = express();
+    app.use('/fetch_external_image', createExternalImageRouter({ allowedHosts: ['127.0.0.1'], maxBytes: MAX_BYTES, timeoutMs: 300 }));
+    proxy = http.createServer(app);
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+    proxyUrl = `http://127.0.0.1:${proxy.address().port}/fetch_external_image`;
+});
+
+after(() => {
+    upstream.closeAllConnections();
+    upstream.close();
+    proxy.close();
+});
+
+function requestImage(path) {
+    return fetch(proxyUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ imageUrl: `${upstreamBase}${path}` })
+    });
+}
+
+test('devuelve la imagen con su tipo detectado', async () => {
+    const res = await requestImage('/photo.png');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), PNG);
+});
+
+test('rechaza contenido que no es imagen', async () => {
+    const res = await requestImage('/page.html');
+    assert.equal(res.status, 415);
+    assert.equal((await res.json()).error, 'not_an_image');
+});
+
+test('rechaza redirecciones a hosts fuera de la lista', async () => {
+    const res = await requestImage('/redirect-off-list');
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).error, 'host_not_allowed');
+});
+
+test('rechaza imágenes que superan maxBytes', async () => {
+    const res = await requestImage('/large.png');
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).error, 'image_too_large');
+});
+
+test('corta los orígenes que no responden a tiempo', async () => {
+    const res = await requestImage('/slow.png');
+    assert.equal(res.status, 504);
+    assert.equal((await res.json()).error, 'timeout');
+});
+
+test('informa los errores del origen', async () => {
+    const res = await requestImage('/missing.png');
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).error, 'upstream_error');
+});
+
+test('rechaza hosts que no están en la lista', async () => {
+    const res = await fetch(proxyUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ imageUrl: 'http://example.com/photo.png' })
+    });
+    assert.equal(res.status, 403);
+});
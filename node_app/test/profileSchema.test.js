@@ -0,0 +1,80 @@
+// Pruebas del esquema de perfiles (lib/profileSchema.js): los perfiles incluidos
+// deben ser válidos y cada regla debe rechazar lo que promete.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { validateProfile } = require('../lib/profileSchema');
+
+const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+
+function errorsFor(config) {
+    return validateProfile({ config });
+}
+
+function assertRejected(config, fragment) {
+    const errors = errorsFor(config);
+    assert.ok(errors.some(e => e.includes(fragment)), `se esperaba "${fragment}" en ${JSON.stringify(errors)}`);
+}
+
+test('los perfiles incluidos son válidos', () => {
+    const files = fs.readdirSync(PROFILES_DIR).filter(file => file.endsWith('.json'));
+    assert.ok(files.length > 0);
+    for (const file of files) {
+        const profile = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf8'));
+        assert.deepEqual(validateProfile(profile), [], file);
+    }
+});
+
+test('exige la clave config', () => {
+    assert.deepEqual(validateProfile({ description: 'sin config' }), ['perfil.config: es obligatorio']);
+});
+
+test('rechaza claves desconocidas', () => {
+    assertRejected({ validation: { durationMS: 1000 } }, 'perfil.config.validation.durationMS: clave desconocida');
+});
+
+test('rechaza tipos incorrectos', () => {
+    assertRejected({ showScore: 'sí' }, 'perfil.config.showScore: debe ser true o false');
+    assertRejected({ validation: { durationMs: 1500.5 } }, 'debe ser un entero');
+    assertRejected({ detectionFontSize: '12 puntos' }, 'formato no válido');
+});
+
+test('rechaza valores fuera de rango', () => {
+    assertRejected({ minScore: 1.5 }, 'perfil.config.minScore: debe estar entre 0 y 1');
+    assertRejected({ multipleFacesPolicy: 'all' }, 'debe ser uno de reject, largest, centered');
+});
+
+test('aplica los chequeos entre claves', () => {
+    assertRejected({ quality: { minFaceRatio: 0.8, maxFaceRatio: 0.5 } }, 'los mínimos no pueden superar a los máximos');
+    assertRejected({ output: { variants: [] } }, 'variants no puede estar vacío');
+});
+
+test('rechaza un ROI sin tamaño', () => {
+    assertRejected({ roi: { x: 0.2, y: 0.2, width: 0, height: 0.5 } }, 'width y height mayores que 0');
+    assertRejected({ roi: { x: 0.2, y: 0.2, width: 0.5, height: 0 } }, 'width y height mayores que 0');
+});
+
+test('rechaza un ROI que se sale del cuadro', () => {
+    assertRejected({ roi: { x: 0.5, y: 0.2, width: 0.6, height: 0.5 } }, 'el ROI se sale del cuadro');
+});
+
+test('exige al menos 3 puntos en un ROI polygon', () => {
+    const roi = { shape: 'polygon', points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], x: 0.2, y: 0.2, width: 0.5, height: 0.5 };
+    assertRejected({ roi }, 'un ROI polygon necesita al menos 3 puntos');
+});
+
+test('acepta ROI por orientación nulos o parciales', () => {
+    assert.deepEqual(errorsFor({ roiByOrientation: { portrait: null, landscape: { x: 0.3, width: 0.4 } } }), []);
+});
+
+test('valida el ROI por orientación ya mezclado sobre roi', () => {
+    // Sobre el ROI por defecto (x 0.2, width 0.6) un x de 0.5 se sale del cuadro.
+    assertRejected({ roiByOrientation: { landscape: { x: 0.5 } } }, 'roiByOrientation.landscape: el ROI se sale del cuadro');
+    assert.deepEqual(errorsFor({
+        roi: { x: 0.1, y: 0.1, width: 0.3, height: 0.3 },
+        roiByOrientation: { landscape: { x: 0.5 } }
+    }), []);
+    assertRejected({ roiByOrientation: { portrait: { width: 0 } } }, 'roiByOrientation.portrait: el ROI debe tener width y height mayores que 0');
+});